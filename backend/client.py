@@ -2,13 +2,13 @@ import flwr as fl
 import torch
 import torch.optim as optim
 from collections import OrderedDict
-from model import TinyVAE, loss_function
+from model import TinyVAE, loss_function, encode_features
 
-# 1. Simulate Dummy Data (Price, Ship, Rate, Stock)
+# 1. Simulate Dummy Data (encoded with the shared feature schema)
 local_data = torch.tensor([
-    [0.5, 0.1, 0.9, 1.0], 
-    [0.55, 0.1, 0.8, 1.0], 
-    [0.45, 0.2, 0.9, 0.0]
+    encode_features({'type': 'gaming', 'brand': 'asus', 'ram_gb': 16, 'price': 85000, 'cpu_family': 'ryzen_7', 'gpu_tier': 'mid', 'refresh_hz': 144}),
+    encode_features({'type': 'ultrabook', 'brand': 'apple', 'ram_gb': 8, 'price': 99900, 'cpu_family': 'apple_m', 'cpu_generation': 2, 'os': 'macos', 'screen_inches': 13.6}),
+    encode_features({'type': 'notebook', 'brand': 'hp', 'ram_gb': 8, 'price': 42000, 'cpu_family': 'core_i3', 'cpu_generation': 12, 'os': 'windows'})
 ], dtype=torch.float32)
 
 net = TinyVAE()
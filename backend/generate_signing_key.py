@@ -0,0 +1,64 @@
+import base64
+import os
+import re
+import sys
+
+from cryptography.hazmat.primitives import serialization
+from cryptography.hazmat.primitives.asymmetric.ed25519 import Ed25519PrivateKey
+
+# =========================================================
+# MODEL SIGNING KEY (ONE-OFF SETUP)
+# =========================================================
+# server.py signs every model download with an Ed25519 private key; the
+# extension only accepts weights whose signature matches the public key
+# bundled in its manifest.json ("model_signing_key", base64 of the raw
+# 32-byte key). This writes a new private key next to the server and puts
+# the matching public key into the manifest.
+#
+# Keep the private key out of version control. A new key means every
+# installed extension needs the updated manifest before it accepts models
+# again (until then they keep their cached or bundled weights).
+#
+# Usage: python generate_signing_key.py [model_signing_key.pem] [../extension/manifest.json]
+
+def write_private_key(path):
+    if os.path.exists(path):
+        raise SystemExit(f"❌ {path} already exists, refusing to overwrite it")
+    key = Ed25519PrivateKey.generate()
+    pem = key.private_bytes(
+        encoding=serialization.Encoding.PEM,
+        format=serialization.PrivateFormat.PKCS8,
+        encryption_algorithm=serialization.NoEncryption()
+    )
+    # Owner-only: anyone who can read this can push models to every client
+    fd = os.open(path, os.O_WRONLY | os.O_CREAT | os.O_EXCL, 0o600)
+    with os.fdopen(fd, 'wb') as f:
+        f.write(pem)
+    return key
+
+def public_key_b64(key):
+    raw = key.public_key().public_bytes(
+        encoding=serialization.Encoding.Raw,
+        format=serialization.PublicFormat.Raw
+    )
+    return base64.b64encode(raw).decode('ascii')
+
+def update_manifest(path, public_key):
+    """Rewrites only the "model_signing_key" line, the rest of the manifest keeps its layout."""
+    with open(path, 'r', encoding='utf-8') as f:
+        text = f.read()
+    updated, count = re.subn(r'("model_signing_key"\s*:\s*)"[^"]*"', lambda m: f'{m.group(1)}"{public_key}"', text)
+    if count != 1:
+        raise SystemExit(f"❌ {path} has no \"model_signing_key\" entry")
+    with open(path, 'w', encoding='utf-8') as f:
+        f.write(updated)
+
+if __name__ == '__main__':
+    key_path = sys.argv[1] if len(sys.argv) > 1 else 'model_signing_key.pem'
+    manifest_path = sys.argv[2] if len(sys.argv) > 2 else os.path.join('..', 'extension', 'manifest.json')
+
+    key = write_private_key(key_path)
+    public_key = public_key_b64(key)
+    update_manifest(manifest_path, public_key)
+    print(f"🔑 Private key written to {key_path}")
+    print(f"📦 Public key {public_key} written to {manifest_path}")
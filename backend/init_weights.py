@@ -0,0 +1,55 @@
+import json
+import math
+import random
+import sys
+
+from model_manifest import build_manifest
+from widen_weights import normalized_default, logit
+
+# =========================================================
+# FRESH WEIGHTS FOR A NEW PRODUCT CATEGORY
+# =========================================================
+# The Tiny-VAE of model_manifest.py (TINY_VAE_NETWORKS), which trainOnLogs
+# in the extension can train:
+#   encoder = [W1, b1, W2, b2, W_mean, b_mean, W_logvar, b_logvar]
+#   decoder = [W1, b1, W2, b2, W_out, b_out]
+# Xavier-uniform weights, zero biases, and output biases at logit(default)
+# so an untrained model reconstructs the schema defaults. The manifest
+# carries the schema along.
+# The model starts at version 1 and learns through federated rounds.
+#
+# Usage: python init_weights.py feature_schema_tv.json model_weights_tv.json
+
+HIDDEN_1 = 16
+HIDDEN_2 = 8
+LATENT = 2
+
+def xavier(rng, fan_in, fan_out):
+    limit = math.sqrt(6.0 / (fan_in + fan_out))
+    return [[rng.uniform(-limit, limit) for _ in range(fan_out)] for _ in range(fan_in)]
+
+def init_weights(schema, seed=0):
+    rng = random.Random(seed)
+    n = len(schema['features'])
+
+    encoder = [
+        xavier(rng, n, HIDDEN_1), [0.0] * HIDDEN_1,
+        xavier(rng, HIDDEN_1, HIDDEN_2), [0.0] * HIDDEN_2,
+        xavier(rng, HIDDEN_2, LATENT), [0.0] * LATENT,
+        xavier(rng, HIDDEN_2, LATENT), [0.0] * LATENT,
+    ]
+    decoder = [
+        xavier(rng, LATENT, HIDDEN_2), [0.0] * HIDDEN_2,
+        xavier(rng, HIDDEN_2, HIDDEN_1), [0.0] * HIDDEN_1,
+        xavier(rng, HIDDEN_1, n), [logit(normalized_default(f)) for f in schema['features']],
+    ]
+    return {'encoder': encoder, 'decoder': decoder, 'version': 1, 'manifest': build_manifest(schema)}
+
+if __name__ == '__main__':
+    schema_file, weights_file = sys.argv[1], sys.argv[2]
+    with open(schema_file) as f:
+        schema = json.load(f)
+
+    with open(weights_file, 'w') as f:
+        json.dump(init_weights(schema), f)
+    print(f"✅ Initialized {weights_file} for {len(schema['features'])} features.")
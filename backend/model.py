@@ -1,9 +1,38 @@
+import json
+import os
 import torch
 import torch.nn as nn
 import torch.nn.functional as F
 
+# Shared with the extension (extension/feature_schema*.json): feature order,
+# category lists and normalization constants must match on both sides.
+# Laptops use feature_schema.json, other categories feature_schema_<category>.json.
+BACKEND_DIR = os.path.dirname(os.path.abspath(__file__))
+
+def load_feature_schema(category='laptop'):
+    name = 'feature_schema.json' if category == 'laptop' else f'feature_schema_{category}.json'
+    with open(os.path.join(BACKEND_DIR, name)) as f:
+        return json.load(f)
+
+FEATURE_SCHEMA = load_feature_schema()
+INPUT_DIM = len(FEATURE_SCHEMA['features'])
+
+def encode_features(raw, schema=FEATURE_SCHEMA):
+    """Same encoding as encodeFeatures() in content.js.
+    raw: dict of feature name -> raw value (missing keys use the schema default)."""
+    vector = []
+    for feature in schema['features']:
+        value = raw.get(feature['name'], feature['default'])
+        if feature['encoding'] == 'category':
+            if value not in feature['categories']:
+                value = feature['default']
+            vector.append(feature['categories'].index(value) / feature['scale'])
+        else:
+            vector.append(min(max(float(value) / feature['max'], 0.0), 1.0))
+    return vector
+
 class TinyVAE(nn.Module):
-    def __init__(self, input_dim=4):
+    def __init__(self, input_dim=INPUT_DIM):
         super(TinyVAE, self).__init__()
         self.fc1 = nn.Linear(input_dim, 3)
         self.fc2_mean = nn.Linear(3, 2)
@@ -0,0 +1,70 @@
+import json
+import sys
+
+# =========================================================
+# MODEL MANIFEST
+# =========================================================
+# Every model_weights*.json carries a "manifest" next to its encoder and
+# decoder arrays: the layer list with activations, and the feature schema
+# (order + normalization) the network was trained for. The extension runs
+# whatever network the manifest describes (extension/model_manifest.js), so
+# a new architecture or feature schema ships by publishing new weights.
+# The model version stays the payload's own "version" (bumped by
+# aggregate_updates() in server.py, which keeps the manifest as is, and by
+# widen_weights.py when the schema gains features).
+#
+# Layers index the payload's encoder / decoder arrays:
+#   {"name", "input", "weights", "bias", "activation"}
+# "input" is the network input or an earlier layer's name. The encoder
+# outputs a latent mean and log-variance, the decoder the reconstruction.
+#
+# Usage: python model_manifest.py model_weights.json feature_schema.json
+# (adds or refreshes the manifest of an existing weights file)
+
+MANIFEST_FORMAT = 1
+
+def dense(name, input, index, activation):
+    return {'name': name, 'input': input, 'weights': index, 'bias': index + 1, 'activation': activation}
+
+# The Tiny-VAE init_weights.py creates (and every model before manifests had)
+TINY_VAE_NETWORKS = {
+    'encoder': {
+        'input': 'features',
+        'outputs': ['z_mean', 'z_logvar'],
+        'layers': [
+            dense('h1', 'features', 0, 'relu'),
+            dense('h2', 'h1', 2, 'relu'),
+            dense('z_mean', 'h2', 4, 'linear'),
+            dense('z_logvar', 'h2', 6, 'linear'),
+        ]
+    },
+    'decoder': {
+        'input': 'z',
+        'outputs': ['reconstruction'],
+        'layers': [
+            dense('d1', 'z', 0, 'relu'),
+            dense('d2', 'd1', 2, 'relu'),
+            dense('reconstruction', 'd2', 4, 'sigmoid'),
+        ]
+    }
+}
+
+def build_manifest(schema, networks=TINY_VAE_NETWORKS):
+    return {'format': MANIFEST_FORMAT, 'schema': schema, 'networks': networks}
+
+def attach_manifest(weights, schema):
+    """Keeps a custom architecture, refreshes the schema."""
+    networks = weights.get('manifest', {}).get('networks', TINY_VAE_NETWORKS)
+    weights['manifest'] = build_manifest(schema, networks)
+    return weights
+
+if __name__ == '__main__':
+    weights_file, schema_file = sys.argv[1], sys.argv[2]
+    with open(weights_file) as f:
+        weights = json.load(f)
+    with open(schema_file) as f:
+        schema = json.load(f)
+
+    with open(weights_file, 'w') as f:
+        json.dump(attach_manifest(weights, schema), f)
+    print(f"✅ Manifest for {len(schema['features'])} features written to {weights_file}.")
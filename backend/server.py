@@ -1,55 +1,134 @@
+import base64
 import json
+import hashlib
+import ipaddress
+import time
 import numpy as np
 import os
-from flask import Flask, request, jsonify, send_file
+from cryptography.hazmat.primitives import serialization
+from flask import Flask, request, jsonify
 from flask_cors import CORS
 
 app = Flask(__name__)
-CORS(app)  # Allow Chrome Extension to connect
+CORS(app, expose_headers=['ETag', 'X-Model-Version', 'X-Model-Signature'])  # Allow Chrome Extension to connect (and read sync headers)
 
 # =========================================================
 # 1. CONFIGURATION & STATE
 # =========================================================
-MODEL_FILE = 'model_weights.json'
+MODEL_FILE = 'model_weights.json'   # Laptop model; other categories use model_weights_<category>.json
+DEFAULT_CATEGORY = 'laptop'
+CATEGORIES = ['laptop', 'smartphone', 'tv', 'headphones']
+SIGNING_KEY_FILE = 'model_signing_key.pem'   # Ed25519 private key, see generate_signing_key.py
 
 # SETTINGS FOR HACKATHON
 MIN_UPDATES_FOR_AGGREGATION = 2  # Aggregates after every 2 user updates
 SERVER_MOMENTUM = 0.9            # Stability Factor (0.9 = 90% stability, 10% new change)
 
-# GLOBAL MEMORY
-pending_updates = []   # The "Waiting Room" for user updates
-velocity_buffer = {}   # The "Memory" of the model's past direction
+# GLOBAL MEMORY (one of each per product category)
+pending_updates = {c: [] for c in CATEGORIES}   # The "Waiting Room" for user updates
+velocity_buffer = {c: {} for c in CATEGORIES}   # The "Memory" of the model's past direction
+
+# REGIONAL PRICE COMPARISON (opt-in observations with coarse shopping context)
+K_ANONYMITY = 5                     # A group is only reported once this many distinct clients are in it
+OBSERVATION_WINDOW = 24 * 60 * 60   # "Today": observations older than this are dropped
+MAX_PRODUCTS = 20000                # Products kept at most; the least recently reported are dropped first
+MAX_CLIENTS_PER_PRODUCT = 500       # Observations kept per product; the oldest are dropped first
+MAX_ID_LENGTH = 100                 # Longest site / product ID accepted
+PRICE_STEP = 0.02                   # Published prices are rounded to steps of 2% of the group median
+CLIENT_SALT = os.urandom(16)        # Per process: client identities can't be linked across restarts
+CONTEXT_VALUES = {                  # Same buckets as ShoppingContext in the extension's regional.js
+    'region': [f'{zone}-{kind}' for zone in ('north', 'west', 'south', 'east') for kind in ('metro', 'other')],
+    'device': ['desktop', 'mobile', 'tablet'],
+    'account': ['guest', 'signed_in'],
+    'membership': ['member', 'none']
+}
+observations = {}   # (site, product_id) -> {client identity: {price, context, time}}, least recently reported first
+
+# FEDERATED EVALUATION (clients score each new model on their held-out logs before adopting it)
+MIN_EVALUATION_REPORTS = 3      # Reports needed before a model's decline rate is flagged
+DECLINE_ALERT_RATE = 0.5        # Flag a model once this share of reporting clients declined it
+MAX_EVALUATION_VERSIONS = 20    # Versions kept per category; the oldest are dropped first
+MAX_REPORTS_PER_VERSION = 1000  # Reports kept per version; the oldest are dropped first
+evaluations = {c: {} for c in CATEGORIES}   # version -> {client identity: {samples, candidate, baseline, accepted, time}}
 
 # =========================================================
 # 2. HELPER FUNCTIONS
 # =========================================================
-def load_global_weights():
+def model_file(category):
+    """Same naming convention as ModelSync.weightsFile() in the extension."""
+    return MODEL_FILE if category == DEFAULT_CATEGORY else f'model_weights_{category}.json'
+
+def load_global_weights(category=DEFAULT_CATEGORY):
     """Loads the Master Brain from disk."""
-    if not os.path.exists(MODEL_FILE): 
-        print(f"⚠️ Warning: {MODEL_FILE} not found. Please place it in the backend folder.")
+    path = model_file(category)
+    if not os.path.exists(path): 
+        print(f"⚠️ Warning: {path} not found. Please place it in the backend folder.")
         return None
-    with open(MODEL_FILE, 'r') as f: 
+    with open(path, 'r') as f: 
         return json.load(f)
 
-def save_global_weights(weights):
+def get_model_version(weights):
+    """Models saved before versioning count as v1."""
+    return int(weights.get('version', 1))
+
+def save_global_weights(weights, category=DEFAULT_CATEGORY):
     """Saves the new Master Brain to disk."""
-    with open(MODEL_FILE, 'w') as f: 
+    with open(model_file(category), 'w') as f: 
         json.dump(weights, f)
-    print("💾 Global Model Updated & Saved to Disk!")
+    print(f"💾 Global {category} Model Updated & Saved to Disk!")
+
+def load_signing_key():
+    """The Ed25519 key model downloads are signed with (None: downloads go out unsigned)."""
+    if not os.path.exists(SIGNING_KEY_FILE):
+        print(f"⚠️ Warning: {SIGNING_KEY_FILE} not found. Models are served unsigned and extensions will reject them.")
+        return None
+    with open(SIGNING_KEY_FILE, 'rb') as f:
+        return serialization.load_pem_private_key(f.read(), password=None)
+
+def sign_model(category, raw):
+    """Same message ModelSync.verifySignature() checks: the category, a newline, the file bytes.
+    Binding the category stops a validly signed model being replayed as another one."""
+    if signing_key is None: return None
+    return base64.b64encode(signing_key.sign(category.encode('utf-8') + b'\n' + raw)).decode('ascii')
+
+def get_category(value):
+    """Older clients don't send a category: they only know laptops."""
+    category = value or DEFAULT_CATEGORY
+    return category if category in CATEGORIES else None
+
+def decoder_problem(decoder, reference):
+    """Why an uploaded decoder can't be averaged into the global one
+    (reference), or None. One bad upload would otherwise break every
+    aggregation of its category."""
+    if not isinstance(decoder, list) or len(decoder) != len(reference):
+        return f"expected {len(reference)} decoder arrays"
+    for i, (layer, expected) in enumerate(zip(decoder, reference)):
+        try:
+            layer = np.asarray(layer, dtype=float)
+        except (TypeError, ValueError):
+            return f"decoder array {i} is not numeric"
+        if layer.shape != np.shape(expected):
+            return f"decoder array {i} has shape {layer.shape}, expected {np.shape(expected)}"
+        if not np.all(np.isfinite(layer)):
+            return f"decoder array {i} has non-finite values"
+    return None
+
+signing_key = load_signing_key()
 
 # =========================================================
 # 3. THE "PRO" ALGORITHM: FEDAVGM (Federated Momentum)
 # =========================================================
-def aggregate_updates():
+def aggregate_updates(category=DEFAULT_CATEGORY):
     """
     Advanced Aggregation: Uses Server Momentum to stabilize learning.
     This prevents 'Client Drift' and makes the model robust against bad data.
     """
-    global pending_updates, velocity_buffer
+    updates = pending_updates[category]
+    velocity = velocity_buffer[category]
     
-    print(f"🔄 Running FedAvgM (Momentum {SERVER_MOMENTUM}) on {len(pending_updates)} clients...")
+    print(f"🔄 Running FedAvgM (Momentum {SERVER_MOMENTUM}) on {len(updates)} {category} clients...")
     
-    global_weights = load_global_weights()
+    global_weights = load_global_weights(category)
     if not global_weights: return
 
     # A. Calculate Simple Average first (The "Proposed" Update)
@@ -58,7 +137,7 @@ def aggregate_updates():
     
     for i in range(num_layers):
         # Collect this specific layer from all pending user updates
-        layer_updates = [np.array(u['decoder'][i]) for u in pending_updates]
+        layer_updates = [np.array(u['decoder'][i]) for u in updates]
         
         # Calculate the mathematical average
         avg_update = np.mean(layer_updates, axis=0)
@@ -67,10 +146,11 @@ def aggregate_updates():
     # B. Apply Server Momentum (The Stabilization)
     final_decoder = []
     
-    # Initialize velocity buffer (Memory) if it's the first run
-    if 'decoder' not in velocity_buffer:
+    # Initialize velocity buffer (Memory) if it's the first run, or the model
+    # changed shape since (widen_weights.py)
+    if 'decoder' not in velocity or [v.shape for v in velocity['decoder']] != [d.shape for d in proposed_decoder]:
         # Create a zero-filled memory of the same shape as our model
-        velocity_buffer['decoder'] = [np.zeros_like(d) for d in proposed_decoder]
+        velocity['decoder'] = [np.zeros_like(d) for d in proposed_decoder]
 
     for i in range(num_layers):
         # 1. Get Current State
@@ -83,57 +163,336 @@ def aggregate_updates():
         
         # 3. Update Momentum (Velocity)
         # New Speed = (0.9 * Old Speed) + (1.0 * New Push)
-        v_old = velocity_buffer['decoder'][i]
+        v_old = velocity['decoder'][i]
         v_new = (SERVER_MOMENTUM * v_old) + gradient
         
         # Save this new speed for next time
-        velocity_buffer['decoder'][i] = v_new
+        velocity['decoder'][i] = v_new
         
         # 4. Apply the Move
         # New Position = Old Position + New Speed
         w_final = w_current + v_new
         final_decoder.append(w_final.tolist())
 
-    # C. Commit Changes
+    # C. Commit Changes (every aggregation is a new model version)
     global_weights['decoder'] = final_decoder
-    save_global_weights(global_weights)
+    global_weights['version'] = get_model_version(global_weights) + 1
+    save_global_weights(global_weights, category)
     
     # D. Clear the Waiting Room
-    pending_updates = []
-    print("✅ Global Intelligence Improved (with Momentum)!")
+    pending_updates[category] = []
+    print(f"✅ Global {category} Intelligence Improved (with Momentum)! Now v{global_weights['version']}")
+
+# =========================================================
+# 4. REGIONAL PRICE OBSERVATIONS (k-anonymity)
+# =========================================================
+def clean_context(context):
+    """Keeps only the known coarse buckets, anything else becomes unknown (None)."""
+    context = context if isinstance(context, dict) else {}
+    return {key: (context.get(key) if context.get(key) in values else None) for key, values in CONTEXT_VALUES.items()}
+
+def client_identity():
+    """Who reported, as far as the server can tell: the caller's network
+    address (an IPv6 /64, which one host usually holds whole). A token the
+    client picks itself would let one caller pose as K clients and read a
+    victim's price back. Only a salted hash is kept, never the address.
+    Behind a reverse proxy, wrap the app in werkzeug's ProxyFix so
+    remote_addr is the real peer."""
+    try:
+        address = ipaddress.ip_address(request.remote_addr or '')
+        if address.version == 6: address = ipaddress.ip_network(f'{address}/64', strict=False).network_address
+    except ValueError:
+        address = request.remote_addr or ''
+    return hashlib.sha256(CLIENT_SALT + str(address).encode('utf-8')).hexdigest()[:16]
+
+def store_observation(key, client, observation):
+    """One observation per client and product, within MAX_PRODUCTS and
+    MAX_CLIENTS_PER_PRODUCT (the least recently reported go first)."""
+    clients = observations.pop(key, {})   # re-inserted last: most recently reported
+    clients.pop(client, None)
+    while len(clients) >= MAX_CLIENTS_PER_PRODUCT:
+        del clients[min(clients, key=lambda c: clients[c]['time'])]
+    clients[client] = observation
+    observations[key] = clients
+    while len(observations) > MAX_PRODUCTS:
+        del observations[next(iter(observations))]
+
+def coarsen(price, step):
+    return round(round(price / step) * step, 2)
+
+def prune_observations(now=None):
+    """Forgets observations older than the window (and products nobody saw since)."""
+    cutoff = (now or time.time()) - OBSERVATION_WINDOW
+    for key in list(observations):
+        fresh = {client: obs for client, obs in observations[key].items() if obs['time'] >= cutoff}
+        if fresh:
+            observations[key] = fresh
+        else:
+            del observations[key]
+
+def aggregate_observations(site, product_id, group_by='region'):
+    """
+    Price ranges per context bucket for one product. Each client counts once
+    (its latest observation), and buckets with fewer than K_ANONYMITY clients
+    are suppressed: only their number is reported, never their prices.
+    Reported prices are rounded to PRICE_STEP of the median, so no single
+    observation can be read back exactly.
+    """
+    prune_observations()
+    groups = {}
+    for obs in observations.get((site, product_id), {}).values():
+        value = obs['context'].get(group_by)
+        if value is not None:
+            groups.setdefault(value, []).append(obs['price'])
+
+    result, suppressed = [], 0
+    for value, prices in sorted(groups.items()):
+        if len(prices) < K_ANONYMITY:
+            suppressed += 1
+            continue
+        # 10th-90th percentile rather than min/max: no single client's price shows through
+        prices = np.array(prices)
+        median = float(np.median(prices))
+        step = max(median * PRICE_STEP, 1)
+        result.append({
+            'value': value,
+            'clients': len(prices),
+            'low': coarsen(float(np.percentile(prices, 10)), step),
+            'median': coarsen(median, step),
+            'high': coarsen(float(np.percentile(prices, 90)), step)
+        })
+    return result, suppressed
 
 # =========================================================
-# 4. API ENDPOINTS
+# 5. FEDERATED EVALUATION
 # =========================================================
+def clean_metrics(metrics):
+    """{error, agreement} as ModelEvaluation.metrics() in the extension sends them, or None."""
+    if not isinstance(metrics, dict): return None
+    try:
+        error = float(metrics.get('error'))
+        agreement = metrics.get('agreement')
+        agreement = None if agreement is None else float(agreement)
+    except (TypeError, ValueError):
+        return None
+    # NaN fails both range checks
+    if not (0 <= error <= 1) or (agreement is not None and not (0 <= agreement <= 1)):
+        return None
+    return {'error': error, 'agreement': agreement}
+
+def store_evaluation(category, version, client, report):
+    """One report per client (client_identity()) and version, so a single
+    caller can't outvote the others, within MAX_EVALUATION_VERSIONS and
+    MAX_REPORTS_PER_VERSION."""
+    reports = evaluations[category].setdefault(version, {})
+    reports.pop(client, None)
+    while len(reports) >= MAX_REPORTS_PER_VERSION:
+        del reports[min(reports, key=lambda c: reports[c]['time'])]
+    reports[client] = report
+    while len(evaluations[category]) > MAX_EVALUATION_VERSIONS:
+        del evaluations[category][min(evaluations[category])]
+
+def summarize_evaluations(category, version):
+    """How one model did on the reporting clients' held-out logs: means over
+    clients (each client counts once, whatever its number of logs)."""
+    reports = list(evaluations[category].get(version, {}).values())
+    summary = {
+        'version': version,
+        'reports': len(reports),
+        'declined': sum(1 for r in reports if not r['accepted']),
+        'samples': sum(r['samples'] for r in reports),
+        'error': None,
+        'baseline_error': None,
+        'agreement': None
+    }
+    if reports:
+        summary['error'] = round(float(np.mean([r['candidate']['error'] for r in reports])), 4)
+        summary['baseline_error'] = round(float(np.mean([r['baseline']['error'] for r in reports])), 4)
+        agreements = [r['candidate']['agreement'] for r in reports if r['candidate']['agreement'] is not None]
+        summary['agreement'] = round(float(np.mean(agreements)), 4) if agreements else None
+    return summary
+
+# =========================================================
+# 6. API ENDPOINTS
+# =========================================================
+def json_body():
+    """The request's JSON object, or {} when the body is missing, malformed or not an object."""
+    data = request.get_json(silent=True)
+    return data if isinstance(data, dict) else {}
+
 @app.route('/')
 def home(): 
     return "🛡️ FairMarket Federated Server (FedAvgM Active)"
 
 @app.route('/get-global-model', methods=['GET'])
 def get_model():
-    """Extensions call this to download the latest brain."""
-    return send_file(MODEL_FILE, mimetype='application/json')
+    """Extensions call this to download the latest brain.
+    The ETag is the SHA-256 of the file, so clients holding the same
+    weights get an empty 304 instead of the full payload. Full payloads
+    carry an Ed25519 signature the extension checks before using them."""
+    category = get_category(request.args.get('category'))
+    if not category or not os.path.exists(model_file(category)):
+        return jsonify({"status": "error", "message": "Unknown category"}), 404
+
+    with open(model_file(category), 'rb') as f:
+        raw = f.read()
+    etag = hashlib.sha256(raw).hexdigest()
+    version = get_model_version(json.loads(raw))
+
+    if request.if_none_match.contains(etag):
+        response = app.response_class(status=304)
+    else:
+        response = app.response_class(raw, mimetype='application/json')
+        signature = sign_model(category, raw)
+        if signature: response.headers['X-Model-Signature'] = signature
+
+    response.set_etag(etag)
+    response.headers['X-Model-Version'] = str(version)
+    response.headers['Cache-Control'] = 'no-cache'
+    return response
 
 @app.route('/send-update', methods=['POST'])
 def receive_update():
     """Extensions call this to upload their training results."""
-    data = request.json
+    data = json_body()
     
     # Basic Validation
     if 'decoder' not in data:
         return jsonify({"status": "error", "message": "Invalid format"}), 400
+
+    category = get_category(data.get('category'))
+    if not category:
+        return jsonify({"status": "error", "message": "Unknown category"}), 400
+
+    base_version = data.get('base_version')
+    if base_version is not None:
+        try:
+            base_version = int(base_version)
+        except (TypeError, ValueError, OverflowError):
+            return jsonify({"status": "error", "message": "Invalid base_version"}), 400
+
+    # Stale Check: updates trained on an older model would drag it backwards
+    global_weights = load_global_weights(category)
+    if not global_weights:
+        return jsonify({"status": "error", "message": f"No global {category} model on this server"}), 404
+    current_version = get_model_version(global_weights)
+    if base_version is not None and base_version != current_version:
+        print(f"⏭️ Rejected stale update (trained on v{base_version}, current v{current_version})")
+        return jsonify({
+            "status": "stale",
+            "message": f"Update was trained on v{base_version}",
+            "current_version": current_version
+        }), 409
+    
+    # Shape Check: only updates of this exact model can be averaged
+    problem = decoder_problem(data['decoder'], global_weights['decoder'])
+    if problem:
+        print(f"🚫 Rejected {category} update: {problem}")
+        return jsonify({"status": "error", "message": f"Invalid decoder: {problem}"}), 400
     
     # Add to Buffer
-    pending_updates.append(data)
-    print(f"📥 Received Update. Buffer: {len(pending_updates)}/{MIN_UPDATES_FOR_AGGREGATION}")
+    pending_updates[category].append(data)
+    print(f"📥 Received {category} Update. Buffer: {len(pending_updates[category])}/{MIN_UPDATES_FOR_AGGREGATION}")
     
     # Check if we should trigger training
-    if len(pending_updates) >= MIN_UPDATES_FOR_AGGREGATION:
-        aggregate_updates()
+    if len(pending_updates[category]) >= MIN_UPDATES_FOR_AGGREGATION:
+        try:
+            aggregate_updates(category)
+        except Exception as e:
+            # Never keep a buffer that can't be aggregated: it would fail every later upload
+            pending_updates[category] = []
+            velocity_buffer[category] = {}
+            print(f"❌ {category} aggregation failed, buffer dropped: {e}")
+            return jsonify({"status": "error", "message": "Aggregation failed"}), 500
         return jsonify({"status": "success", "message": "Aggregated with Momentum!"})
     
     return jsonify({"status": "accepted", "message": "Buffered"})
 
+@app.route('/report-price', methods=['POST'])
+def report_price():
+    """Opted-in extensions report the price they were shown, with coarse context.
+    Clients are counted by client_identity(), one observation per client and product."""
+    data = json_body()
+    site, product_id = data.get('site'), data.get('product_id')
+    try:
+        price = float(data.get('price'))
+    except (TypeError, ValueError):
+        price = 0
+    valid_ids = all(isinstance(v, str) and 0 < len(v) <= MAX_ID_LENGTH for v in (site, product_id))
+    if not valid_ids or not (0 < price < float('inf')):
+        return jsonify({"status": "error", "message": "Invalid format"}), 400
+
+    prune_observations()
+    store_observation((site, product_id), client_identity(), {
+        'price': price,
+        'context': clean_context(data.get('context')),
+        'time': time.time()
+    })
+    return jsonify({"status": "accepted", "message": "Observation recorded"})
+
+@app.route('/regional-prices', methods=['GET'])
+def regional_prices():
+    """What other clients were shown for this product in the last 24 hours,
+    per region (or device / account / membership via group_by)."""
+    site, product_id = request.args.get('site'), request.args.get('product_id')
+    group_by = request.args.get('group_by', 'region')
+    if not site or not product_id or group_by not in CONTEXT_VALUES:
+        return jsonify({"status": "error", "message": "Invalid query"}), 400
+
+    groups, suppressed = aggregate_observations(site, product_id, group_by)
+    return jsonify({
+        "status": "success",
+        "group_by": group_by,
+        "k": K_ANONYMITY,
+        "groups": groups,
+        "suppressed": suppressed
+    })
+
+@app.route('/report-evaluation', methods=['POST'])
+def report_evaluation():
+    """Extensions report how a new model did against the one they had, on
+    their held-out logs: aggregate metrics only, never the logs themselves."""
+    data = json_body()
+    category = get_category(data.get('category'))
+    candidate, baseline = clean_metrics(data.get('candidate')), clean_metrics(data.get('baseline'))
+    try:
+        version, samples = int(data.get('version')), int(data.get('samples'))
+    except (TypeError, ValueError, OverflowError):
+        version, samples = 0, 0
+    if not category or not candidate or not baseline or version < 1 or samples < 1 or not isinstance(data.get('accepted'), bool):
+        return jsonify({"status": "error", "message": "Invalid format"}), 400
+
+    # Clients only evaluate models this server has published
+    global_weights = load_global_weights(category)
+    if version > (get_model_version(global_weights) if global_weights else 1):
+        return jsonify({"status": "error", "message": f"No {category} model v{version}"}), 400
+
+    store_evaluation(category, version, client_identity(), {
+        'samples': samples,
+        'candidate': candidate,
+        'baseline': baseline,
+        'accepted': data['accepted'],
+        'time': time.time()
+    })
+    summary = summarize_evaluations(category, version)
+    print(f"📏 {category} v{version} evaluated by {summary['reports']} clients ({summary['declined']} declined)")
+    if summary['reports'] >= MIN_EVALUATION_REPORTS and summary['declined'] / summary['reports'] >= DECLINE_ALERT_RATE:
+        print(f"⚠️ {category} v{version} is worse than its predecessor for most reporting clients!")
+    return jsonify({"status": "accepted", "message": "Evaluation recorded"})
+
+@app.route('/model-quality', methods=['GET'])
+def model_quality():
+    """What clients measured for a model (the current one unless ?version= is given)."""
+    category = get_category(request.args.get('category'))
+    if not category:
+        return jsonify({"status": "error", "message": "Unknown category"}), 404
+
+    version = request.args.get('version', type=int)
+    if version is None:
+        global_weights = load_global_weights(category)
+        version = get_model_version(global_weights) if global_weights else 1
+    return jsonify({"status": "success", "category": category, **summarize_evaluations(category, version)})
+
 if __name__ == '__main__':
     print(f"🚀 Starting FedAvgM Server (Port 5000)...")
     app.run(host='0.0.0.0', port=5000, debug=True)
\ No newline at end of file
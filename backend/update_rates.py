@@ -0,0 +1,39 @@
+import datetime
+import json
+import sys
+
+# =========================================================
+# UPDATE THE BUNDLED EXCHANGE-RATE TABLE (OFFLINE)
+# =========================================================
+# The extension converts listing prices to INR with the table in
+# extension/exchange_rates.json (rupees per one unit of each currency).
+# Rates are typed in by hand, nothing is fetched, so the extension never
+# has to reach a rates API at browse time.
+#
+# Usage: python update_rates.py ../extension/exchange_rates.json USD=88.3 GBP=117.6
+
+BASE = 'INR'
+
+def update_rates(table, pairs):
+    for pair in pairs:
+        code, _, value = pair.partition('=')
+        code = code.strip().upper()
+        rate = float(value)
+        if len(code) != 3 or not code.isalpha() or rate <= 0:
+            raise ValueError(f"Invalid rate '{pair}'")
+        table['rates'][code] = rate
+
+    table['rates'][BASE] = 1
+    table['updated'] = datetime.date.today().isoformat()
+    return table
+
+if __name__ == '__main__':
+    rates_file, pairs = sys.argv[1], sys.argv[2:]
+    with open(rates_file) as f:
+        table = json.load(f)
+
+    table = update_rates(table, pairs)
+    with open(rates_file, 'w') as f:
+        json.dump(table, f, indent=2)
+        f.write('\n')
+    print(f"✅ Updated {len(pairs)} rates in {rates_file} ({table['updated']}).")
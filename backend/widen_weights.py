@@ -0,0 +1,65 @@
+import json
+import math
+import sys
+
+from model_manifest import attach_manifest
+
+# =========================================================
+# WIDEN MODEL WEIGHTS TO THE CURRENT FEATURE SCHEMA
+# =========================================================
+# When feature_schema.json gains features, the first encoder layer needs
+# new input rows and the last decoder layer new output columns.
+# New rows/columns start at zero (the existing features keep their exact
+# behaviour) and each new output bias starts at logit(default), so the
+# model reconstructs the schema default until federated rounds teach it.
+# The manifest's schema is refreshed too, and the version goes up: extensions
+# still on the old schema can't load the wider model, so their narrow
+# updates must be turned away as stale (409 from /send-update) instead of
+# being averaged with wide ones.
+#
+# Usage: python widen_weights.py model_weights.json feature_schema.json
+
+def normalized_default(feature):
+    if feature['encoding'] == 'category':
+        return feature['categories'].index(feature['default']) / feature['scale']
+    return min(feature['default'] / feature['max'], 1.0)
+
+def logit(p):
+    p = min(max(p, 1e-3), 1 - 1e-3)
+    return math.log(p / (1 - p))
+
+def widen(weights, schema):
+    features = schema['features']
+    old_dim = len(weights['encoder'][0])
+    new_dim = len(features)
+
+    if new_dim <= old_dim:
+        print(f"✅ Weights already have {old_dim} inputs, nothing to do.")
+        return attach_manifest(weights, schema)
+
+    added = new_dim - old_dim
+    hidden_in = len(weights['encoder'][0][0])   # Width of first encoder layer
+    hidden_out = len(weights['decoder'][4])      # Width of last decoder hidden layer
+
+    # A. Encoder input rows (one per new feature)
+    weights['encoder'][0] += [[0.0] * hidden_in for _ in range(added)]
+
+    # B. Decoder output columns + biases
+    for row in weights['decoder'][4]:
+        row += [0.0] * added
+    weights['decoder'][5] += [logit(normalized_default(f)) for f in features[old_dim:]]
+
+    assert len(weights['decoder'][4]) == hidden_out
+    weights['version'] = int(weights.get('version', 1)) + 1
+    print(f"✅ Widened model from {old_dim} to {new_dim} features, now v{weights['version']}.")
+    return attach_manifest(weights, schema)
+
+if __name__ == '__main__':
+    weights_file, schema_file = sys.argv[1], sys.argv[2]
+    with open(weights_file) as f:
+        weights = json.load(f)
+    with open(schema_file) as f:
+        schema = json.load(f)
+
+    with open(weights_file, 'w') as f:
+        json.dump(widen(weights, schema), f)
@@ -0,0 +1,433 @@
+// =========================================================
+// ALERT WIDGET (Closed Shadow DOM, used by content.js)
+// =========================================================
+// The verdict panel lives in a closed shadow root styled by a constructed
+// stylesheet: host-page CSS can't reach it, and since there is no inline
+// <style>, style="" or onclick="" markup, strict page CSPs can't break it.
+// Strings come from the _locales message catalogs via chrome.i18n.
+const ALERT_WIDGET = {
+    HOST_ID: 'fairmarket-alert',
+    STORAGE_KEY: 'alertWidget',
+    KEY_STEP: 20,
+    EDGE: 8
+};
+
+// Header accent (and chart colour) per verdict
+const VERDICT_COLORS = {
+    overpriced: '#ff4757',
+    deal: '#2196F3',
+    fair: '#2ed573',
+    learning: '#636e72',
+    uncertain: '#636e72'
+};
+
+const VERDICT_ICONS = { overpriced: '⚠️', deal: '💎', learning: '🌱', uncertain: '🤔', fair: '✅' };
+
+const ALERT_CSS = `
+    :host { all: initial; }
+    .panel {
+        --bg: #ffffff; --fg: #333333; --muted: #888888; --box: #f8f9fa; --border: #e9ecef;
+        --notice-bg: #fff8e1; --notice-fg: #8a6d00; --notice-border: #ffe08a;
+        position: fixed; top: 130px; right: 20px; width: 320px; max-height: calc(100vh - 16px); overflow: auto;
+        background: var(--bg); color: var(--fg); box-shadow: 0 8px 30px rgba(0,0,0,0.3); border-radius: 12px;
+        z-index: 2147483647; font-family: system-ui, 'Segoe UI', sans-serif; font-size: 13px; line-height: 1.4;
+    }
+    @media (prefers-color-scheme: dark) {
+        .panel {
+            --bg: #1e272e; --fg: #dfe6e9; --muted: #a4b0be; --box: #2d3436; --border: #3d4548;
+            --notice-bg: #3d3420; --notice-fg: #ffd97a; --notice-border: #6b5a2e;
+            box-shadow: 0 8px 30px rgba(0,0,0,0.6);
+        }
+    }
+    .panel.enter { animation: slideIn 0.5s; }
+    @keyframes slideIn { from { transform: translateX(120%); } to { transform: translateX(0); } }
+    @media (prefers-reduced-motion: reduce) { .panel.enter { animation: none; } }
+
+    .header {
+        background: var(--accent); color: white; padding: 12px 15px; font-weight: bold;
+        border-radius: 12px 12px 0 0; display: flex; align-items: center; gap: 6px;
+        cursor: move; user-select: none; touch-action: none;
+    }
+    .panel.minimized .header { border-radius: 12px; }
+    .panel.minimized .body { display: none; }
+    .title { flex: 1; outline: none; }
+    .title:focus-visible { text-decoration: underline; }
+    .header button { background: transparent; border: none; color: white; font-size: 16px; cursor: pointer; padding: 0 4px; border-radius: 4px; }
+    button:focus-visible, select:focus-visible, input:focus-visible, summary:focus-visible { outline: 2px solid #0984e3; outline-offset: 1px; }
+    .header button:focus-visible { outline-color: white; }
+
+    .body { padding: 16px 20px; }
+    .message { font-size: 14px; margin-bottom: 10px; }
+    .box { background: var(--box); padding: 10px; border-radius: 6px; border: 1px solid var(--border); margin-top: 10px; }
+    .box:first-of-type { margin-top: 0; }
+    .price { font-weight: bold; color: var(--accent); }
+    .panel.learning .price, .panel.uncertain .price { color: var(--fg); }
+    .muted { color: var(--muted); font-size: 11px; }
+    .notice { margin-bottom: 10px; background: var(--notice-bg); color: var(--notice-fg); border: 1px solid var(--notice-border); padding: 8px 10px; border-radius: 6px; font-size: 12px; }
+    .findings { border-left: 4px solid #e17055; }
+    .findings ul { margin: 6px 0 0; padding-left: 18px; font-size: 12px; }
+    .findings li + li { margin-top: 4px; }
+    .history { font-size: 12px; }
+    .history svg { display: block; }
+    .row { display: flex; justify-content: space-between; margin-top: 6px; }
+    .footer { margin-top: 10px; font-size: 10px; color: var(--muted); display: flex; justify-content: space-between; gap: 8px; }
+
+    details { margin-top: 10px; font-size: 11px; }
+    summary { cursor: pointer; color: #0984e3; font-size: 12px; }
+    table { width: 100%; border-collapse: collapse; margin-top: 6px; }
+    th { color: var(--muted); text-align: left; font-weight: normal; }
+    td { border-top: 1px solid var(--border); padding: 3px 2px 3px 0; }
+    td.impact, th.impact { text-align: right; white-space: nowrap; }
+    td.default { color: #e17055; }
+    select, input { font-size: 11px; max-width: 100px; background: var(--bg); color: var(--fg); border: 1px solid var(--border); border-radius: 4px; }
+    input { width: 60px; }
+    .bar { display: inline-block; height: 6px; border-radius: 3px; vertical-align: middle; }
+    .bar.up { background: #ff4757; }
+    .bar.down { background: #2196F3; }
+    .rescore { margin-top: 6px; width: 100%; padding: 6px; background: #0984e3; color: white; border: none; border-radius: 6px; cursor: pointer; font-size: 12px; }
+
+    .sr-only { position: absolute; width: 1px; height: 1px; overflow: hidden; clip: rect(0 0 0 0); white-space: nowrap; }
+`;
+
+// Localized string; a missing message shows its key so gaps are easy to spot
+function msg(key, substitutions) {
+    return chrome.i18n.getMessage(key, substitutions) || key;
+}
+
+function escapeHtml(value) {
+    return String(value).replace(/[&<>"']/g, ch => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[ch]);
+}
+
+const AlertWidget = {
+    host: null,
+    root: null,
+    panel: null,
+    prefs: null,        // { left, top, minimized } remembered across pages
+    explainOpen: false,
+    returnFocus: null,
+    view: null,         // the view on display
+
+    // =========================================================
+    // 1. FRAME (created once per page)
+    // =========================================================
+    async ensure() {
+        if (this.host && this.host.isConnected) return false;
+
+        const data = await chrome.storage.local.get({ [ALERT_WIDGET.STORAGE_KEY]: {} });
+        this.prefs = data[ALERT_WIDGET.STORAGE_KEY];
+
+        this.host = document.createElement('div');
+        this.host.id = ALERT_WIDGET.HOST_ID;
+        this.root = this.host.attachShadow({ mode: 'closed' });
+
+        const sheet = new CSSStyleSheet();
+        sheet.replaceSync(ALERT_CSS);
+        this.root.adoptedStyleSheets = [sheet];
+
+        this.root.innerHTML = `
+            <section class="panel enter" role="region" aria-labelledby="fm-title">
+                <div class="header">
+                    <span class="title" id="fm-title" tabindex="0" aria-describedby="fm-drag-hint"></span>
+                    <button type="button" class="minimize"></button>
+                    <button type="button" class="close" aria-label="${escapeHtml(msg('dismiss'))}" title="${escapeHtml(msg('dismiss'))}">×</button>
+                </div>
+                <span class="sr-only" id="fm-drag-hint">${escapeHtml(msg('dragHint'))}</span>
+                <div class="body" id="fm-body"></div>
+                <div class="sr-only" role="status" aria-live="polite" aria-atomic="true"></div>
+            </section>`;
+        this.panel = this.root.querySelector('.panel');
+
+        this.root.querySelector('.close').addEventListener('click', () => this.remove());
+        this.root.querySelector('.minimize').addEventListener('click', () => this.setMinimized(!this.prefs.minimized));
+        this.root.addEventListener('keydown', (e) => this.onKeyDown(e));
+        this.bindDrag();
+
+        document.body.appendChild(this.host);
+        if (this.prefs.left !== undefined) this.moveTo(this.prefs.left, this.prefs.top);
+        this.setMinimized(!!this.prefs.minimized, false);
+        return true;
+    },
+
+    // =========================================================
+    // 2. RENDERING
+    // =========================================================
+    // view: { type, real, estimate, listing, priceChange, history, model, err,
+    //         explanation: { product, rows }, regional: { low, high, regions, region },
+    //         findings: [{ kind, ... }], onRescore(values) }
+    async render(view) {
+        const created = await this.ensure();
+        this.view = view;
+        const currency = view.listing ? view.listing.currency : CURRENCY.BASE;
+        const money = (amount) => Currency.format(amount, currency);
+        const locale = Currency.displayLocale(currency);
+
+        this.panel.className = `panel ${view.type}${created ? ' enter' : ''}${this.prefs.minimized ? ' minimized' : ''}`;
+        this.panel.style.setProperty('--accent', VERDICT_COLORS[view.type]);
+
+        const header = msg(`header_${view.type}`);
+        this.root.getElementById('fm-title').textContent = `${VERDICT_ICONS[view.type]} ${header}`;
+
+        const body = this.root.getElementById('fm-body');
+        body.innerHTML = [
+            view.priceChange ? `<div class="notice">🔔 ${escapeHtml(msg('priceChanged', [money(view.priceChange.from), money(view.priceChange.to)]))}</div>` : '',
+            `<div class="message">${escapeHtml(msg(`message_${view.type}`))}</div>`,
+            this.priceBox(view, money, currency),
+            view.findings && view.findings.length ? this.findingsBox(view, money) : '',
+            `<div id="fm-regional">${view.regional ? this.regionalBox(view, money) : ''}</div>`,
+            this.historyBox(view, money, locale),
+            view.explanation ? this.explanationBox(view, money) : '',
+            `<div class="footer">
+                <span>${escapeHtml(msg(!CONFIG.LOGGING_ENABLED ? 'loggingOff' : view.err > CONFIG.THRESHOLD ? 'dataLogged' : 'noTraining'))}</span>
+                <span>${view.model ? escapeHtml(msg('modelInfo', [chrome.i18n.getMessage(`category_${view.model.category}`) || view.model.category, String(view.model.version)])) : ''}</span>
+            </div>`
+        ].join('');
+
+        // Widths can't go in style="" (CSP), set them through the CSSOM
+        for (let bar of body.querySelectorAll('.bar[data-width]')) bar.style.width = `${bar.dataset.width}px`;
+
+        const details = body.querySelector('details');
+        if (details) {
+            details.addEventListener('toggle', () => { this.explainOpen = details.open; });
+            body.querySelector('.rescore').addEventListener('click', () => view.onRescore(this.readCorrections(body)));
+        }
+
+        this.announce(view, money);
+        if (created) this.focusIfIdle();
+    },
+
+    priceBox(view, money, currency) {
+        const { estimate, listing } = view;
+        const lines = [
+            `<div>${escapeHtml(msg('listingPrice'))}: <span class="price">${escapeHtml(money(view.real))}</span>${listing && listing.high
+                ? ` <span class="muted">(${escapeHtml(msg('offersRange', [money(listing.low), money(listing.high)]))})</span>` : ''}</div>`
+        ];
+        if (view.type !== 'learning') {
+            const level = msg(`confidence_${estimate.confidence}`);
+            lines.push(
+                `<div>${escapeHtml(msg('fairEstimate'))}: <b>~${escapeHtml(money(estimate.fair))}</b></div>`,
+                `<div>${escapeHtml(msg('fairRange', [String(Math.round(CONFIG.INTERVAL * 100))]))}: <b>${escapeHtml(money(estimate.low))} – ${escapeHtml(money(estimate.high))}</b></div>`,
+                `<div class="muted">${escapeHtml(msg('confidence', [level, String(Math.round(estimate.width * 50))]))}</div>`
+            );
+        }
+        if (currency !== CURRENCY.BASE) {
+            lines.push(`<div class="muted">${escapeHtml(msg('comparedIn', [CURRENCY.BASE, Currency.table.updated]))}</div>`);
+        }
+        return `<div class="box">${lines.join('')}</div>`;
+    },
+
+    // Fabricated discounts and manufactured urgency (see dark_patterns.js),
+    // a finding of its own next to the price verdict
+    findingsBox(view, money) {
+        const line = (finding) => {
+            switch (finding.kind) {
+                case 'mrpAboveFair': return msg('finding_mrpAboveFair', [money(finding.mrp), money(finding.high)]);
+                case 'mrpNeverSeen': return msg('finding_mrpNeverSeen', [String(finding.days), money(finding.max), money(finding.mrp)]);
+                case 'discountMismatch': return msg('finding_discountMismatch', [String(finding.claimed), money(finding.mrp), String(finding.actual)]);
+                case 'timerWithoutDeal': return msg('finding_timerWithoutDeal', [finding.text]);
+                case 'urgencyRepeats': return msg('finding_urgencyRepeats', [finding.text, String(finding.days)]);
+                default: return finding.kind;
+            }
+        };
+        return `
+            <div class="box findings" role="group" aria-label="${escapeHtml(msg('findingsTitle'))}">
+                <div><b>🏷️ ${escapeHtml(msg('findingsTitle'))}</b></div>
+                <ul>${view.findings.map(finding => `<li>${escapeHtml(line(finding))}</li>`).join('')}</ul>
+            </div>`;
+    },
+
+    // The regional comparison arrives after the verdict (see compareRegions()
+    // in content.js); dropped if the alert has moved on to another audit
+    showRegional(view, regional) {
+        if (!regional || this.view !== view || !this.host || !this.host.isConnected) return;
+        view.regional = regional;
+        const currency = view.listing ? view.listing.currency : CURRENCY.BASE;
+        this.root.getElementById('fm-regional').innerHTML = this.regionalBox(view, (amount) => Currency.format(amount, currency));
+    },
+
+    // What opted-in shoppers elsewhere were shown (see regional.js)
+    regionalBox(view, money) {
+        const { regional } = view;
+        const range = [money(regional.low), money(regional.high)];
+        const line = regional.region
+            ? msg('otherRegions', range)
+            : msg('allRegions', [String(regional.regions), ...range]);
+        return `
+            <div class="box">
+                <div>🗺️ ${escapeHtml(line)}</div>
+                ${view.real > regional.high ? `<div><b>${escapeHtml(msg('regionalHigher'))}</b></div>` : ''}
+            </div>`;
+    },
+
+    // Price history across visits (needs at least two observations for a trend)
+    historyBox(view, money, locale) {
+        const { history } = view;
+        if (!history || history.observations.length < 2) return '';
+        const summary = PriceHistory.summarize(history);
+        const since = new Date(summary.first.t).toLocaleDateString(locale);
+        return `
+            <div class="box history">
+                <div class="muted">${escapeHtml(msg('historyTitle', [String(summary.count), since]))}</div>
+                ${PriceHistory.renderChart(history, { color: VERDICT_COLORS[view.type] })}
+                <div class="row">
+                    <span>${escapeHtml(msg('historyLowest'))}: <b>${escapeHtml(money(summary.min))}</b></span>
+                    <span>${escapeHtml(msg('historyHighest'))}: <b>${escapeHtml(money(summary.max))}</b></span>
+                </div>
+            </div>`;
+    },
+
+    explanationBox(view, money) {
+        const { product, rows } = view.explanation;
+        const P = product.model.schema.price_index;
+        const maxImpact = Math.max(1, ...rows.map(r => Math.abs(r.impact || 0)));
+        const sourceLabel = (source) => chrome.i18n.getMessage(`source_${String(source).replace(/-/g, '_')}`) || source;
+
+        const body = rows.map(({ feature, value, source, impact }, i) => {
+            const label = chrome.i18n.getMessage(`feature_${feature.name}`) || feature.name.replace(/_/g, ' ');
+            const id = `fm-f-${feature.name}`;
+            let editor;
+            if (i === P) {
+                editor = escapeHtml(money(product.listing.amount));
+            } else if (feature.encoding === 'category') {
+                editor = `<select id="${id}" data-feature="${escapeHtml(feature.name)}">${feature.categories.map(c =>
+                    `<option value="${escapeHtml(c)}"${c === value ? ' selected' : ''}>${escapeHtml(c)}</option>`).join('')}</select>`;
+            } else {
+                editor = `<input id="${id}" data-feature="${escapeHtml(feature.name)}" type="number" min="0" max="${feature.max}" step="any" value="${escapeHtml(value)}">`;
+            }
+
+            const via = source === 'title' ? ` <span class="muted">(${escapeHtml(sourceLabel(product.sources.price))})</span>` : '';
+            const bar = impact === null ? '—' :
+                `<span class="bar ${impact > 0 ? 'up' : 'down'}" data-width="${Math.round(Math.abs(impact) / maxImpact * 40)}"></span> ${impact > 0 ? '+' : '−'}${escapeHtml(money(Math.abs(impact)))}`;
+
+            return `
+                <tr>
+                    <td>${i === P ? escapeHtml(label) : `<label for="${id}">${escapeHtml(label)}</label>`}</td>
+                    <td>${editor}</td>
+                    <td class="${source === 'default' ? 'default' : ''}">${escapeHtml(sourceLabel(source))}${via}</td>
+                    <td class="impact">${bar}</td>
+                </tr>`;
+        }).join('');
+
+        return `
+            <details${this.explainOpen ? ' open' : ''}>
+                <summary>${escapeHtml(msg('explainTitle'))}</summary>
+                <table>
+                    <tr><th scope="col">${escapeHtml(msg('explainFeature'))}</th><th scope="col">${escapeHtml(msg('explainValue'))}</th><th scope="col">${escapeHtml(msg('explainSource'))}</th><th scope="col" class="impact">${escapeHtml(msg('explainImpact'))}</th></tr>${body}
+                </table>
+                <div class="muted">${escapeHtml(msg('explainHint'))}</div>
+                <button type="button" class="rescore">${escapeHtml(msg('rescore'))}</button>
+            </details>`;
+    },
+
+    // { featureName: raw string value } from the explanation editors
+    readCorrections(body) {
+        const values = {};
+        for (let input of body.querySelectorAll('[data-feature]')) values[input.dataset.feature] = input.value;
+        return values;
+    },
+
+    // One sentence for screen readers, re-announced on every re-audit
+    announce(view, money) {
+        const verdict = msg(`header_${view.type}`);
+        const text = view.type === 'learning'
+            ? msg('announceLearning', [verdict, money(view.real)])
+            : msg('announce', [verdict, money(view.real), money(view.estimate.low), money(view.estimate.high)]);
+        const findings = view.findings && view.findings.length ? ` ${msg('findingsTitle')}.` : '';
+        const status = this.root.querySelector('[role="status"]');
+        status.textContent = '';
+        setTimeout(() => { status.textContent = (view.priceChange
+            ? `${msg('priceChanged', [money(view.priceChange.from), money(view.priceChange.to)])}. ${text}`
+            : text) + findings; }, 100);
+    },
+
+    // =========================================================
+    // 3. FOCUS, KEYBOARD, DISMISS
+    // =========================================================
+    // Only take focus when the page isn't using it (never steal it from a search box)
+    focusIfIdle() {
+        const active = document.activeElement;
+        if (active && active !== document.body && active !== document.documentElement) return;
+        this.returnFocus = active;
+        this.root.getElementById('fm-title').focus({ preventScroll: true });
+    },
+
+    onKeyDown(e) {
+        if (e.key === 'Escape') {
+            e.stopPropagation();
+            this.remove();
+            return;
+        }
+        // Arrow keys on the title move the panel (keyboard alternative to dragging)
+        const moves = { ArrowLeft: [-1, 0], ArrowRight: [1, 0], ArrowUp: [0, -1], ArrowDown: [0, 1] };
+        if (moves[e.key] && e.target.classList && e.target.classList.contains('title')) {
+            e.preventDefault();
+            const rect = this.panel.getBoundingClientRect();
+            const [dx, dy] = moves[e.key];
+            this.moveTo(rect.left + dx * ALERT_WIDGET.KEY_STEP, rect.top + dy * ALERT_WIDGET.KEY_STEP);
+            this.savePrefs();
+        }
+    },
+
+    remove() {
+        if (!this.host) return;
+        const hadFocus = this.root.activeElement !== null;
+        this.host.remove();
+        this.host = this.root = this.panel = this.view = null;
+        if (hadFocus && this.returnFocus && this.returnFocus.focus) this.returnFocus.focus({ preventScroll: true });
+        this.returnFocus = null;
+    },
+
+    setMinimized(minimized, persist = true) {
+        this.prefs.minimized = minimized;
+        this.panel.classList.toggle('minimized', minimized);
+        const button = this.root.querySelector('.minimize');
+        button.textContent = minimized ? '▢' : '–';
+        button.setAttribute('aria-label', msg(minimized ? 'expand' : 'minimize'));
+        button.setAttribute('title', msg(minimized ? 'expand' : 'minimize'));
+        button.setAttribute('aria-expanded', String(!minimized));
+        if (persist) this.savePrefs();
+    },
+
+    // =========================================================
+    // 4. DRAGGING & REMEMBERED POSITION
+    // =========================================================
+    bindDrag() {
+        const header = this.root.querySelector('.header');
+        let offset = null;
+
+        header.addEventListener('pointerdown', (e) => {
+            if (e.button !== 0 || e.target.closest('button')) return;
+            const rect = this.panel.getBoundingClientRect();
+            offset = { x: e.clientX - rect.left, y: e.clientY - rect.top };
+            header.setPointerCapture(e.pointerId);
+        });
+        header.addEventListener('pointermove', (e) => {
+            if (offset) this.moveTo(e.clientX - offset.x, e.clientY - offset.y);
+        });
+        header.addEventListener('pointerup', (e) => {
+            if (!offset) return;
+            offset = null;
+            header.releasePointerCapture(e.pointerId);
+            this.savePrefs();
+        });
+    },
+
+    moveTo(left, top) {
+        const rect = this.panel.getBoundingClientRect();
+        const maxLeft = window.innerWidth - rect.width - ALERT_WIDGET.EDGE;
+        const maxTop = window.innerHeight - 40;
+        this.prefs.left = Math.round(Math.min(Math.max(left, ALERT_WIDGET.EDGE), Math.max(maxLeft, ALERT_WIDGET.EDGE)));
+        this.prefs.top = Math.round(Math.min(Math.max(top, ALERT_WIDGET.EDGE), Math.max(maxTop, ALERT_WIDGET.EDGE)));
+        this.applyPosition();
+    },
+
+    applyPosition() {
+        if (this.prefs.left === undefined || this.prefs.top === undefined) return;
+        this.panel.style.left = `${this.prefs.left}px`;
+        this.panel.style.top = `${this.prefs.top}px`;
+        this.panel.style.right = 'auto';
+    },
+
+    savePrefs() {
+        chrome.storage.local.set({ [ALERT_WIDGET.STORAGE_KEY]: this.prefs });
+    }
+};
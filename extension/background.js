@@ -0,0 +1,134 @@
+// =========================================================
+// FAIRMARKET AI: BACKGROUND SERVICE WORKER
+// =========================================================
+// Runs federated rounds on a chrome.alarms schedule so installs
+// contribute without anyone opening the popup, and injects the content
+// scripts into the optional storefronts the user has granted access to.
+// It is also the one place the training logs and price histories are written.
+importScripts('settings.js', 'model_manifest.js', 'model_sync.js', 'privacy.js', 'log_store.js', 'model_eval.js', 'federated.js', 'price_history.js', 'sites.js');
+
+LogStore.serve();
+PriceHistory.serve();
+
+const ROUND_ALARM = 'federated-round';
+
+// =========================================================
+// 1. SCHEDULING
+// =========================================================
+// Background rounds need both the popup's auto toggle and federated
+// contribution in Options
+async function backgroundRoundsEnabled(settings) {
+    return settings.AUTO_ENABLED && (await Settings.get()).FEDERATED_ENABLED;
+}
+
+async function scheduleNextRound(delayMinutes) {
+    const settings = await Federated.getSettings();
+
+    if (!(await backgroundRoundsEnabled(settings))) {
+        await chrome.alarms.clear(ROUND_ALARM);
+        await Federated.setStatus({ nextRoundAt: null });
+        console.log("⏸️ Background rounds disabled by user");
+        return;
+    }
+
+    const minutes = delayMinutes ?? settings.INTERVAL_MINUTES;
+    const when = Date.now() + minutes * 60 * 1000;
+    await chrome.alarms.create(ROUND_ALARM, { when });
+    await Federated.setStatus({ nextRoundAt: when });
+    console.log(`⏰ Next federated round in ${minutes} min`);
+}
+
+// Keep an existing alarm (service workers restart often), create one if missing
+async function ensureScheduled() {
+    const alarm = await chrome.alarms.get(ROUND_ALARM);
+    if (!alarm) await scheduleNextRound();
+}
+
+// =========================================================
+// 2. BACKGROUND ROUND
+// =========================================================
+async function runScheduledRound() {
+    const settings = await Federated.getSettings();
+    if (!(await backgroundRoundsEnabled(settings))) return scheduleNextRound();
+
+    try {
+        if (!(await Federated.isServerReachable())) {
+            throw new Error('Server unreachable');
+        }
+        const result = await Federated.runRound();
+        console.log(`✅ Background round: ${result.status} ${result.message || ''}`);
+        await scheduleNextRound();
+    } catch (e) {
+        // runRound already counted its own failure; count the reachability one here
+        let status = await Federated.getStatus();
+        if (e.message === 'Server unreachable') {
+            status = await Federated.setStatus({ lastAttemptAt: Date.now(), lastError: e.message, failures: (status.failures || 0) + 1 });
+        }
+        const delay = Federated.backoffMinutes(status.failures, settings);
+        console.warn(`❌ Background round failed (${e.message}). Retrying in ${delay} min`);
+        await scheduleNextRound(delay);
+    }
+}
+
+// =========================================================
+// 3. OPTIONAL STOREFRONTS
+// =========================================================
+// Built-in sites are covered by manifest content_scripts. Optional ones get
+// the same scripts registered dynamically while their host permission exists.
+function storefrontScriptId(adapter) {
+    return `site-${adapter.id}`;
+}
+
+async function syncStorefrontScripts() {
+    const files = chrome.runtime.getManifest().content_scripts[0].js;
+    const registered = new Set((await chrome.scripting.getRegisteredContentScripts()).map(s => s.id));
+
+    for (let adapter of SiteRegistry.optional()) {
+        const id = storefrontScriptId(adapter);
+        const enabled = await SiteRegistry.isEnabled(adapter);
+
+        if (enabled && !registered.has(id)) {
+            await chrome.scripting.registerContentScripts([{
+                id,
+                matches: SiteRegistry.originsFor(adapter),
+                js: files,
+                runAt: 'document_idle'
+            }]);
+            console.log(`🛒 ${adapter.label} enabled`);
+        } else if (!enabled && registered.has(id)) {
+            await chrome.scripting.unregisterContentScripts({ ids: [id] });
+            console.log(`🛒 ${adapter.label} disabled`);
+        }
+    }
+}
+
+// =========================================================
+// 4. EVENT WIRING
+// =========================================================
+chrome.runtime.onInstalled.addListener(() => {
+    ensureScheduled();
+    syncStorefrontScripts();
+});
+chrome.runtime.onStartup.addListener(() => {
+    ensureScheduled();
+    syncStorefrontScripts();
+});
+
+// Storefront toggled in the popup / options (or access revoked in chrome://extensions)
+chrome.permissions.onAdded.addListener(() => syncStorefrontScripts());
+chrome.permissions.onRemoved.addListener(() => syncStorefrontScripts());
+
+chrome.alarms.onAlarm.addListener((alarm) => {
+    if (alarm.name === ROUND_ALARM) runScheduledRound();
+});
+
+// Settings changed in the popup: reschedule with the new frequency / opt-out
+chrome.storage.onChanged.addListener((changes, area) => {
+    if (area === 'local' && changes.federatedSettings) scheduleNextRound();
+});
+
+// Options page: federated opt-out and sites switched off
+Settings.onChange(() => {
+    scheduleNextRound();
+    syncStorefrontScripts();
+});
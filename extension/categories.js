@@ -0,0 +1,470 @@
+// =========================================================
+// PRODUCT CATEGORY REGISTRY
+// =========================================================
+// Each category brings its own detection rules, feature extractor,
+// normalization schema and model weights. Files follow one convention:
+//   laptop      -> feature_schema.json,        model_weights.json
+//   <category>  -> feature_schema_<id>.json,   model_weights_<id>.json
+// Verdicts are only shown once the category's global model has been
+// through minModelVersion - 1 federated rounds; before that the page is
+// only logged so the model can learn.
+
+// =========================================================
+// 1. SPEC HELPERS (Shared by all extractors)
+// =========================================================
+// First spec whose key matches one of the patterns -> { key, value, source }
+function findSpec(specs, patterns) {
+    for (let pattern of patterns) {
+        for (let key in specs) {
+            if (pattern.test(key)) return { key, ...specs[key] };
+        }
+    }
+    return null;
+}
+
+const SpecParsers = {
+    ram: (text) => {
+        const m = text.match(/(\d+)\s*gb/i);
+        return m ? parseInt(m[1]) : null;
+    },
+
+    cpu: (text) => {
+        const t = text.toLowerCase();
+        let m;
+        if ((m = t.match(/core\s*ultra\s*([579])\s*(?:processor\s*)?(\d)?/))) {
+            return { family: `core_ultra_${m[1]}`, generation: m[2] ? parseInt(m[2]) : null };
+        }
+        if ((m = t.match(/(?:core\s*)?\bi([3579])\b/))) {
+            let generation = null;
+            const gen = t.match(/(\d{1,2})\s*(?:th|st|nd|rd)\s*gen/);
+            const model = t.match(/\bi[3579][\s-]*(\d{4,5})[a-z]/);
+            if (gen) generation = parseInt(gen[1]);
+            else if (model && model[1].length === 5) generation = parseInt(model[1].substring(0, 2));
+            else if (model) generation = /^1[01]/.test(model[1]) ? parseInt(model[1].substring(0, 2)) : parseInt(model[1][0]);
+            return { family: `core_i${m[1]}`, generation };
+        }
+        if ((m = t.match(/ryzen\s*([3579])(?:\s*(?:pro\s*)?(\d)\d{3})?/))) {
+            return { family: `ryzen_${m[1]}`, generation: m[2] ? parseInt(m[2]) : null };
+        }
+        if ((m = t.match(/(?:apple\s*)?\bm([1-4])\b(?:\s*(?:pro|max|ultra))?/)) && /apple|macbook|\bm[1-4]\s*(chip|pro|max)/.test(t)) {
+            return { family: 'apple_m', generation: parseInt(m[1]) };
+        }
+        for (let family of ['celeron', 'pentium', 'athlon', 'mediatek', 'snapdragon']) {
+            if (t.includes(family)) return { family, generation: null };
+        }
+        if (t.includes('kompanio')) return { family: 'mediatek', generation: null };
+        return null;
+    },
+
+    gpuTier: (text) => {
+        const t = text.toLowerCase();
+        let m;
+        if ((m = t.match(/rtx\s*\d{0,2}([5-9])0\b/))) {
+            return m[1] >= '8' ? 'high' : (m[1] >= '6' ? 'mid' : 'entry');
+        }
+        if ((m = t.match(/radeon\s*rx\s*\d(\d)\d{2}/))) {
+            return m[1] >= '8' ? 'high' : (m[1] >= '6' ? 'mid' : 'entry');
+        }
+        if (/gtx|\bmx\s*\d{3}|rtx\s*a\d{3,4}|dedicated|arc\s*a\d/.test(t)) return 'entry';
+        if (/integrated|iris|uhd|radeon graphics|apple|adreno/.test(t)) return 'integrated';
+        return null;
+    },
+
+    storage: (text) => {
+        const t = text.toLowerCase();
+        const m = t.match(/(\d+(?:\.\d+)?)\s*(tb|gb)/);
+        const gb = m ? parseFloat(m[1]) * (m[2] === 'tb' ? 1024 : 1) : null;
+        let type = null;
+        if (/ssd|nvme|solid state|flash/.test(t)) type = 'ssd';
+        else if (/emmc/.test(t)) type = 'emmc';
+        else if (/hdd|hard disk|rpm/.test(t)) type = 'hdd';
+        return { gb, type };
+    },
+
+    screenInches: (text) => {
+        const t = text.toLowerCase();
+        let m = t.match(/(\d{1,2}(?:\.\d+)?)\s*(?:inch|inches|in\b|")/);
+        if (m) return parseFloat(m[1]);
+        m = t.match(/(\d{2}(?:\.\d+)?)\s*cm/);
+        return m ? Math.round(parseFloat(m[1]) / 2.54 * 10) / 10 : null;
+    },
+
+    refreshHz: (text) => {
+        const m = text.match(/(\d{2,3})\s*hz/i);
+        return m ? parseInt(m[1]) : null;
+    },
+
+    weightKg: (text) => {
+        const t = text.toLowerCase();
+        let m = t.match(/(\d+(?:\.\d+)?)\s*kg/);
+        if (m) {
+            const grams = t.match(/kg\s*(\d+)\s*g/);
+            return parseFloat(m[1]) + (grams ? parseInt(grams[1]) / 1000 : 0);
+        }
+        if ((m = t.match(/(\d+(?:\.\d+)?)\s*(?:g|grams)\b/))) return parseFloat(m[1]) / 1000;
+        if ((m = t.match(/(\d+(?:\.\d+)?)\s*(?:pounds|lbs?)\b/))) return Math.round(parseFloat(m[1]) * 0.4536 * 100) / 100;
+        return null;
+    },
+
+    os: (text) => {
+        const t = text.toLowerCase();
+        if (/windows/.test(t)) return 'windows';
+        if (/mac\s*os|macos/.test(t)) return 'macos';
+        if (/chrome\s*os|chromebook/.test(t)) return 'chromeos';
+        if (/linux|ubuntu/.test(t)) return 'linux';
+        if (/\bdos\b/.test(t)) return 'dos';
+        return null;
+    },
+
+    // --- Phones, TVs, audio ---
+    storageGb: (text) => {
+        const m = text.toLowerCase().match(/(\d+)\s*(gb|tb)\b(?!\s*ram)/);
+        return m ? parseInt(m[1]) * (m[2] === 'tb' ? 1024 : 1) : null;
+    },
+
+    batteryMah: (text) => {
+        const m = text.match(/(\d{4,5})\s*mah/i);
+        return m ? parseInt(m[1]) : null;
+    },
+
+    cameraMp: (text) => {
+        const all = [...text.matchAll(/(\d{1,3})\s*mp/gi)].map(m => parseInt(m[1]));
+        return all.length ? Math.max(...all) : null;
+    },
+
+    chipsetTier: (text) => {
+        const t = text.toLowerCase();
+        if (/snapdragon\s*8\s*(s\s*)?(gen|\+|elite)|dimensity\s*9\d{3}|\ba1[6-9]\b|tensor|exynos\s*2[1-5]\d{2}/.test(t)) return 'flagship';
+        if (/snapdragon\s*7|dimensity\s*8\d{3}|\ba1[45]\b|exynos\s*1[34]80/.test(t)) return 'upper_mid';
+        if (/snapdragon\s*6|dimensity\s*[67]\d{3}|exynos\s*1[0-3]\d{2}|helio\s*g9\d/.test(t)) return 'mid';
+        if (/snapdragon\s*4|helio|unisoc|dimensity\s*[4-6]\d{2}\b/.test(t)) return 'entry';
+        return null;
+    },
+
+    resolution: (text) => {
+        const t = text.toLowerCase();
+        if (/\b8k\b/.test(t)) return '8k';
+        if (/\b4k\b|ultra hd|\buhd\b|3840/.test(t)) return '4k';
+        if (/full hd|\bfhd\b|1080/.test(t)) return 'full_hd';
+        if (/hd ready|\bhd\b|720/.test(t)) return 'hd';
+        return null;
+    },
+
+    panel: (text) => {
+        const t = text.toLowerCase();
+        if (/mini[\s-]?led/.test(t)) return 'mini_led';
+        if (/qled/.test(t)) return 'qled';
+        if (/oled/.test(t)) return 'oled';
+        if (/\bled\b|\blcd\b/.test(t)) return 'led';
+        return null;
+    },
+
+    formFactor: (text) => {
+        const t = text.toLowerCase();
+        if (/true wireless|\btws\b|earbuds|airpods/.test(t)) return 'tws';
+        if (/over[\s-]?(the[\s-]?)?ear/.test(t)) return 'over_ear';
+        if (/on[\s-]?ear/.test(t)) return 'on_ear';
+        if (/in[\s-]?ear|earphones?|neckband/.test(t)) return 'in_ear';
+        return null;
+    },
+
+    hours: (text) => {
+        const m = text.match(/(\d{1,3})\s*(?:hours?|hrs?|h)\b/i);
+        return m ? parseInt(m[1]) : null;
+    },
+
+    driverMm: (text) => {
+        const m = text.match(/(\d{1,2}(?:\.\d)?)\s*mm\s*(?:dynamic\s*|graphene\s*)?drivers?/i);
+        return m ? parseFloat(m[1]) : null;
+    },
+
+    // 'yes' / 'no' / null for the two-valued schema features
+    flag: (yes, no) => (text) => {
+        const t = text.toLowerCase();
+        if (no && no.test(t)) return 'no';
+        if (yes.test(t)) return 'yes';
+        return null;
+    }
+};
+
+const BRAND_SPEC_KEYS = [/^brand$/, /manufacturer/];
+
+// Any known brand of this category's schema inside the text
+function matchBrand(text, schema) {
+    const lower = text.toLowerCase();
+    const brands = schema.features.find(f => f.name === 'brand').categories;
+    return brands.find(b => b !== 'unknown' && new RegExp(`\\b${b}\\b`).test(lower)) || null;
+}
+
+// resolve(feature, keyPatterns, parse): spec field first, then the title.
+// Records the winning source in `sources`.
+function makeResolver(name, specs, sources) {
+    return (feature, patterns, parse) => {
+        const spec = findSpec(specs, patterns);
+        const fromSpec = spec ? parse(spec.value) : null;
+        if (fromSpec !== null && fromSpec !== undefined) {
+            sources[feature] = spec.source;
+            return fromSpec;
+        }
+        const fromTitle = parse(name);
+        if (fromTitle !== null && fromTitle !== undefined) {
+            sources[feature] = 'title';
+            return fromTitle;
+        }
+        return null;
+    };
+}
+
+// Runs resolve() for every [feature, keyPatterns, parser] row into raw
+function resolveAll(resolve, raw, rows) {
+    for (let [feature, patterns, parse] of rows) {
+        const value = resolve(feature, patterns, parse);
+        if (value !== null && value !== undefined) raw[feature] = value;
+    }
+}
+
+// =========================================================
+// 2. LAPTOP EXTRACTOR
+// =========================================================
+function extractLaptopFeatures(name, price, specs, schema) {
+    const raw = { price };
+    const sources = { price: 'listing' };
+    const resolve = makeResolver(name, specs, sources);
+
+    // Brand (any known brand name inside the spec value or title)
+    const brand = resolve('brand', BRAND_SPEC_KEYS, (t) => matchBrand(t, schema));
+    if (brand) raw.brand = brand;
+
+    // Type (title keywords, same rules as before)
+    if (name.includes('gaming') || name.includes('rog') || name.includes('alienware') || name.includes('tuf')) {
+        raw.type = 'gaming';
+    } else if (name.includes('ultrabook') || name.includes('macbook') || name.includes('air')) {
+        raw.type = 'ultrabook';
+    }
+    if (raw.type) sources.type = 'title';
+
+    // RAM (title needs the "RAM"/"DDR" hint, otherwise storage sizes match)
+    const ramSpec = findSpec(specs, [/^ram$/, /ram size/, /^memory$/, /installed ram/]);
+    const ramFromSpec = ramSpec ? SpecParsers.ram(ramSpec.value) : null;
+    const ramMatch = name.match(/(\d+)\s*gb\s*(ram|ddr|unified)/i);
+    if (ramFromSpec) {
+        raw.ram_gb = ramFromSpec;
+        sources.ram_gb = ramSpec.source;
+    } else if (ramMatch) {
+        raw.ram_gb = parseInt(ramMatch[1]);
+        sources.ram_gb = 'title';
+    }
+
+    // CPU family + generation
+    const cpuSpec = findSpec(specs, [/processor name/, /processor type/, /^processor$/, /^cpu/, /chipset/, /processor model/]);
+    const genSpec = findSpec(specs, [/processor generation/]);
+    const cpu = (cpuSpec && SpecParsers.cpu(`${cpuSpec.value} ${genSpec ? genSpec.value : ''}`)) || SpecParsers.cpu(name);
+    if (cpu) {
+        raw.cpu_family = cpu.family;
+        sources.cpu_family = cpuSpec && SpecParsers.cpu(cpuSpec.value) ? cpuSpec.source : 'title';
+        if (cpu.generation) {
+            raw.cpu_generation = cpu.generation;
+            sources.cpu_generation = sources.cpu_family;
+        }
+    }
+
+    // GPU
+    const gpu = resolve('gpu_tier', [/graphic(s)? processor/, /graphics coprocessor/, /^gpu/, /graphics card/, /dedicated graphic/], SpecParsers.gpuTier);
+    if (gpu) raw.gpu_tier = gpu;
+
+    // Storage size + type
+    const storageSpec = findSpec(specs, [/ssd capacity/, /hard (drive|disk) size/, /^storage/, /hdd capacity/, /emmc storage/]);
+    const storage = storageSpec ? SpecParsers.storage(storageSpec.value) : { gb: null, type: null };
+    if (storageSpec && !storage.type) {
+        const ssdFlag = findSpec(specs, [/^ssd$/, /hard disk description/]);
+        if (/ssd/.test(storageSpec.key) || (ssdFlag && /yes|ssd/i.test(ssdFlag.value))) storage.type = 'ssd';
+        else if (/hdd/.test(storageSpec.key)) storage.type = 'hdd';
+        else if (/emmc/.test(storageSpec.key)) storage.type = 'emmc';
+    }
+    const titleStorage = SpecParsers.storage((name.match(/\d+\s*(?:tb|gb)\s*(?:ssd|hdd|emmc|nvme)/i) || [''])[0]);
+    if (storage.gb || titleStorage.gb) {
+        raw.storage_gb = storage.gb || titleStorage.gb;
+        sources.storage_gb = storage.gb ? storageSpec.source : 'title';
+    }
+    if (storage.type || titleStorage.type) {
+        raw.storage_type = storage.type || titleStorage.type;
+        sources.storage_type = storage.type ? storageSpec.source : 'title';
+    }
+
+    // Display
+    const screen = resolve('screen_inches', [/screen size/, /display size/, /standing screen/], SpecParsers.screenInches);
+    if (screen) raw.screen_inches = screen;
+    const refresh = resolve('refresh_hz', [/refresh rate/], SpecParsers.refreshHz);
+    if (refresh) raw.refresh_hz = refresh;
+
+    // Weight (no title fallback: "2 kg" in titles is rare and usually packaging)
+    const weightSpec = findSpec(specs, [/^weight$/, /item weight/, /product weight/]);
+    const weight = weightSpec ? SpecParsers.weightKg(weightSpec.value) : null;
+    if (weight) {
+        raw.weight_kg = weight;
+        sources.weight_kg = weightSpec.source;
+    }
+
+    // OS
+    const os = resolve('os', [/operating system/, /^os$/], SpecParsers.os);
+    if (os) raw.os = os;
+
+    return { raw, sources };
+}
+
+// =========================================================
+// 3. SMARTPHONE / TV / HEADPHONES EXTRACTORS
+// =========================================================
+function extractSmartphoneFeatures(name, price, specs, schema) {
+    const raw = { price };
+    const sources = { price: 'listing' };
+    const resolve = makeResolver(name, specs, sources);
+
+    resolveAll(resolve, raw, [
+        ['brand', BRAND_SPEC_KEYS, (t) => matchBrand(t, schema)],
+        ['chipset_tier', [/processor (type|name)/, /chipset/, /^processor$/, /^cpu/], SpecParsers.chipsetTier],
+        // "8 GB RAM" in titles, a bare "8 GB" in spec fields
+        ['ram_gb', [/^ram$/, /ram size/, /^memory$/], (t) => {
+            const m = t.match(/(\d+)\s*gb\s*ram/i) || t.match(/^\s*(\d+)\s*gb\s*$/i);
+            return m ? parseInt(m[1]) : null;
+        }],
+        ['storage_gb', [/internal storage/, /^storage/, /^rom$/, /memory storage capacity/], SpecParsers.storageGb],
+        ['screen_inches', [/display size/, /screen size/], SpecParsers.screenInches],
+        ['refresh_hz', [/refresh rate/], SpecParsers.refreshHz],
+        ['battery_mah', [/battery capacity/, /^battery/], SpecParsers.batteryMah],
+        ['camera_mp', [/primary camera$/, /rear camera/, /^camera/], SpecParsers.cameraMp],
+        ['network_5g', [/network type/, /cellular technology/, /^network/], SpecParsers.flag(/\b5g\b/)]
+    ]);
+    return { raw, sources };
+}
+
+function extractTvFeatures(name, price, specs, schema) {
+    const raw = { price };
+    const sources = { price: 'listing' };
+    const resolve = makeResolver(name, specs, sources);
+
+    resolveAll(resolve, raw, [
+        ['brand', BRAND_SPEC_KEYS, (t) => matchBrand(t, schema)],
+        ['screen_inches', [/display size/, /screen size/], SpecParsers.screenInches],
+        ['resolution', [/^resolution/, /hd technology/, /display resolution/], SpecParsers.resolution],
+        ['panel', [/display type/, /panel type/, /display technology/], SpecParsers.panel],
+        ['refresh_hz', [/refresh rate/], SpecParsers.refreshHz],
+        ['smart_tv', [/smart tv/, /supported app/, /operating system/], SpecParsers.flag(/\byes\b|smart|google tv|android|webos|tizen|fire tv/, /^no$/)]
+    ]);
+    return { raw, sources };
+}
+
+function extractHeadphonesFeatures(name, price, specs, schema) {
+    const raw = { price };
+    const sources = { price: 'listing' };
+    const resolve = makeResolver(name, specs, sources);
+
+    resolveAll(resolve, raw, [
+        ['brand', BRAND_SPEC_KEYS, (t) => matchBrand(t, schema)],
+        ['form_factor', [/form factor/, /headphone type/, /^type$/, /ear placement/], SpecParsers.formFactor],
+        ['wireless', [/connectivity/, /^wireless/, /bluetooth/], SpecParsers.flag(/wireless|bluetooth|\btws\b|\byes\b/, /^wired|3\.5\s*mm|^no$/)],
+        ['anc', [/noise cancell?ation/, /noise control/, /\banc\b/], SpecParsers.flag(/\banc\b|active noise|noise cancell?ing|\byes\b/, /^no$|^none$/)],
+        ['battery_hours', [/battery life/, /play ?time/, /playback/], SpecParsers.hours],
+        ['driver_mm', [/driver/], (t) => SpecParsers.driverMm(/mm/.test(t) && !/driver/i.test(t) ? `${t} driver` : t)]
+    ]);
+    return { raw, sources };
+}
+
+// =========================================================
+// 4. REGISTRY
+// =========================================================
+const CategoryRegistry = {
+    categories: [],
+
+    register(category) {
+        this.categories.push(category);
+    },
+
+    get(id) {
+        return this.categories.find(c => c.id === id) || null;
+    },
+
+    schemaFile(id) {
+        return id === 'laptop' ? 'feature_schema.json' : `feature_schema_${id}.json`;
+    },
+
+    // hints: { jsonLdCategory, breadcrumbs: [most generic ... most specific], name }
+    // Returns { category, source } or null when the page can't be classified.
+    detect({ jsonLdCategory = [], breadcrumbs = [], name = '' }) {
+        const candidates = [
+            ...[].concat(jsonLdCategory).map(text => ({ text, source: 'json-ld' })),
+            ...[...breadcrumbs].reverse().map(text => ({ text, source: 'breadcrumb' })),
+            { text: name, source: 'title' }
+        ];
+
+        for (let { text, source } of candidates) {
+            const lower = String(text || '').toLowerCase();
+            if (!lower) continue;
+            for (let category of this.categories) {
+                const pattern = source === 'title' ? category.titlePattern : category.pattern;
+                if (pattern.test(lower) && !this.isAccessory(category, lower, source)) {
+                    return { category, source };
+                }
+            }
+        }
+        return null;
+    },
+
+    // Category texts name the product outright ("Laptop Accessories"); titles
+    // also list specs ("... Laptop, Backlit Keyboard, 3-Cell Battery"), so
+    // there the exclude word has to be the product noun: in the title's head
+    // (before the specs), before any "for ..." and not followed by the
+    // device itself ("laptop bag for ...", "iphone 15 case", but not
+    // "backlit keyboard laptop" or "earbuds with charging case")
+    isAccessory(category, text, source) {
+        if (source !== 'title') return category.exclude.test(text);
+
+        const [named] = text.split(/,|\||\(|\[|:| - | with | featuring | including | \+ /)[0]
+            .split(/\bfor\b|\bcompatible with\b/);
+        const matches = [...named.matchAll(new RegExp(category.exclude.source, 'g'))];
+        if (!matches.length) return false;
+        const last = matches[matches.length - 1];
+        return !category.titlePattern.test(named.slice(last.index + last[0].length));
+    }
+};
+
+// Order matters for titles: "earphones for iPhone" is headphones, not a phone
+CategoryRegistry.register({
+    id: 'headphones',
+    label: 'Headphones',
+    pattern: /headphones?|earphones?|earbuds?|headsets?|in-ear|over-ear|true wireless/,
+    titlePattern: /headphones?|earphones?|earbuds?|headset|\btws\b|airpods|neckband/,
+    exclude: /\b(cases?|covers?|stands?|hangers?|cushions?|ear ?pads?|tips|adapters?|splitters?|cables?)\b/,
+    minModelVersion: 10,
+    extract: extractHeadphonesFeatures
+});
+
+CategoryRegistry.register({
+    id: 'tv',
+    label: 'Television',
+    pattern: /televisions?|\btvs?\b|smart tv/,
+    titlePattern: /smart tv|\btelevision\b|\b(led|qled|oled|4k|google|android) tv\b/,
+    exclude: /\b(mounts?|stands?|remotes?|covers?|sticks?|box(es)?|cables?|projectors?)\b/,
+    minModelVersion: 10,
+    extract: extractTvFeatures
+});
+
+CategoryRegistry.register({
+    id: 'smartphone',
+    label: 'Smartphone',
+    pattern: /\bmobiles?\b|smartphones?|mobile phones?|\biphones?\b/,
+    titlePattern: /smartphone|mobile phone|\biphone\b/,
+    exclude: /\b(accessor(y|ies)|cases?|covers?|chargers?|cables?|guards?|protectors?|holders?|power ?banks?|tempered|skins?|lens(es)?)\b/,
+    minModelVersion: 10,
+    extract: extractSmartphoneFeatures
+});
+
+CategoryRegistry.register({
+    id: 'laptop',
+    label: 'Laptop',
+    pattern: /laptops?|notebooks?|macbook|chromebook|ultrabook/,
+    titlePattern: /laptop|notebook|macbook|chromebook|ultrabook/,
+    exclude: /\b(accessor(y|ies)|bags?|sleeves?|backpacks?|skins?|stands?|chargers?|adapters?|batter(y|ies)|keyboards?|cooling|covers?|tables?|screen guards?|protectors?)\b/,
+    minModelVersion: 1,
+    extract: extractLaptopFeatures
+});
@@ -1,461 +1,399 @@
 console.log('🛡️ FairMarket AI: Initializing Federated Engine...');
 
+// Extraction, the model and scoring live in pipeline.js (shared with the
+// batch audit CLI); this file adds the alert, logging and live re-audits.
+
 // =========================================================
-// 1. CONFIGURATION
+// 1. MAIN LOGIC
 // =========================================================
-const CONFIG = {
-    MAX_PRICE: 500000.0,
-    MAX_RAM: 64.0,
-    THRESHOLD: 0.005,
-    BIAS_TOLERANCE: 0.015,
-    MAX_ERROR_CAP: 0.15,
-    
-    TYPE_MAP: {'notebook': 0, 'ultrabook': 1, 'gaming': 2, 'workstation': 3, 'convertible': 4, 'netbook': 5},
-    COMPANY_MAP: {
-        'apple': 0, 'hp': 1, 'lenovo': 2, 'asus': 3, 'dell': 4, 'acer': 5, 'msi': 6, 
-        'toshiba': 7, 'microsoft': 8, 'xiaomi': 9, 'huawei': 10, 'razer': 11, 'samsung': 12
-    },
-    
-    // MULTI-SITE SELECTORS (Fallback only)
-    SITE_CONFIGS: {
-        'amazon': {
-            domain: 'amazon.in',
-            productPagePattern: /\/(dp|gp\/product)\//,
-            selectors: {
-                price: ['.a-price-whole', '.a-price .a-offscreen'],
-                title: '#productTitle',
-                specs: '#productDetails_techSpec_section_1'
-            }
-        },
-        'flipkart': {
-            domain: 'flipkart.com',
-            productPagePattern: /\/p\//,
-            selectors: {
-                price: ['.hZ3P6w', 'div.hZ3P6w', '.Nx9bqj', '._30jeq3._16Jk6d', '._30jeq3', '._16Jk6d'],
-                title: ['.LMizgS', 'span.LMizgS', '.VU-ZEz', '.B_NuCI', 'span.B_NuCI', 'h1.yhB1nd', 'span.VU-ZEz'],
-                specs: ['._1mKqjD', 'div._1mKqjD', '._2418kt']
-            }
-        }
+// live: re-audit after a page change, rescore: re-run after user corrections
+async function runAnalysis({ live = false, rescore = false } = {}) {
+    const site = detectSite();
+    if (!site) return;
+
+    // Switched off in Options (built-in sites keep their content script)
+    const settings = applySettings(await Settings.get());
+    if (settings.DISABLED_SITES.includes(site)) {
+        AlertWidget.remove();
+        ListingBadges.stop();
+        return;
     }
-};
 
-// =========================================================
-// 2. SITE DETECTOR
-// =========================================================
-function detectSite() {
-    const hostname = window.location.hostname;
-    
-    if (hostname.includes('amazon')) return 'amazon';
-    if (hostname.includes('flipkart')) return 'flipkart';
+    // Navigated (client-side) away from a product page: drop the old verdict.
+    // Search results and category listings get badges on every card instead.
+    if (!SiteRegistry.get(site).productPagePattern.test(window.location.pathname)) {
+        AlertWidget.remove();
+        auditState.first = null;
+        if (settings.LISTING_BADGES_ENABLED && isListingPage(site)) await ListingBadges.start(site);
+        else ListingBadges.stop();
+        return;
+    }
+    ListingBadges.stop();
+
+    const product = await extractFeatures({ live, corrections: await loadCorrections(site) });
+    if (!product) return;
+    const { model, category } = product;
+    const { output: outputVector, error, dist, type } = scoreProduct(product);
     
-    return null;
-}
+    // The model works in the base currency, the user sees the page's currency
+    const { listing } = product;
+    const toPage = (amount) => Currency.fromBase(amount, listing.currency);
+    const estimate = {
+        fair: toPage(dist.median),
+        low: toPage(dist.low),
+        high: toPage(dist.high),
+        width: dist.width,
+        confidence: dist.confidence
+    };
+    const realPrice = listing.amount;
+    const fairPrice = estimate.fair;
 
-// =========================================================
-// 3. SEO METADATA EXTRACTOR (PRIMARY METHOD)
-// =========================================================
-function extractFromSEOMetadata() {
-    try {
-        // Method 1: JSON-LD Schema.org (Most Reliable)
-        const jsonLdScripts = document.querySelectorAll('script[type="application/ld+json"]');
-        
-        for (let script of jsonLdScripts) {
-            try {
-                const data = JSON.parse(script.textContent);
-                
-                // Handle both single objects and arrays
-                const products = Array.isArray(data) ? data : [data];
-                
-                for (let item of products) {
-                    // Check if it's a Product schema
-                    if (item['@type'] === 'Product' || item['@type'] === 'http://schema.org/Product') {
-                        const name = (item.name || '').toLowerCase();
-                        const price = parseFloat(
-                            (item.offers?.price || item.offers?.lowPrice || '0').toString().replace(/[^0-9.]/g, '')
-                        );
-                        
-                        if (price > 0 && name) {
-                            console.log('✅ Extracted from JSON-LD Schema.org');
-                            console.log('📝 Product:', name.substring(0, 50));
-                            console.log('💰 Price:', price);
-                            return { name, price };
-                        }
-                    }
-                }
-            } catch (e) {
-                continue; // Try next script
-            }
-        }
-        
-        // Method 2: Open Graph Meta Tags (Fallback)
-        const ogTitle = document.querySelector('meta[property="og:title"]')?.content || '';
-        const ogPriceAmount = document.querySelector('meta[property="product:price:amount"]')?.content || 
-                              document.querySelector('meta[property="og:price:amount"]')?.content || '';
-        
-        if (ogTitle && ogPriceAmount) {
-            const price = parseFloat(ogPriceAmount.replace(/[^0-9.]/g, ''));
-            if (price > 0) {
-                console.log('✅ Extracted from Open Graph meta tags');
-                return { name: ogTitle.toLowerCase(), price };
-            }
-        }
-        
-        // Method 3: Twitter Card Meta Tags (Another Fallback)
-        const twitterTitle = document.querySelector('meta[name="twitter:title"]')?.content || '';
-        const twitterData = document.querySelector('meta[name="twitter:data1"]')?.content || '';
-        
-        if (twitterTitle && twitterData) {
-            const price = parseFloat(twitterData.replace(/[^0-9.]/g, ''));
-            if (price > 0) {
-                console.log('✅ Extracted from Twitter Card meta tags');
-                return { name: twitterTitle.toLowerCase(), price };
-            }
+    console.log(`📉 Analysis (${category.id} model v${model.version}): Real ${Currency.format(realPrice, listing.currency)} vs Fair ${Currency.format(fairPrice, listing.currency)} (${Math.round(CONFIG.INTERVAL * 100)}%: ${Currency.format(estimate.low, listing.currency)}–${Currency.format(estimate.high, listing.currency)}, ${estimate.confidence} confidence) | Error: ${error.toFixed(4)}`);
+
+    // Same product as the first audit of this view, but a different price?
+    const key = productKey(site);
+    if (!auditState.first || auditState.first.key !== key) {
+        auditState.first = { key, listing };
+    }
+    const first = auditState.first.listing;
+    const priceChange = first.amount !== realPrice && first.currency === listing.currency
+        ? { from: first.amount, to: realPrice }
+        : null;
+    if (priceChange) console.warn(`🔔 Price changed from ${Currency.format(priceChange.from, listing.currency)} to ${Currency.format(priceChange.to, listing.currency)}`);
+
+    // Opt-in coarse context, kept with every observation of this product
+    product.context = settings.CONTEXT_SHARING_ENABLED ? ShoppingContext.detect(SiteRegistry.get(site)) : null;
+
+    // Struck-through M.R.P., "% off" badge, deal timers, "only N left"
+    product.claims = DiscountClaims.detect(SiteRegistry.get(site), listing);
+
+    // Log for federated learning if error exceeds threshold (corrections log themselves)
+    if (error > CONFIG.THRESHOLD && !rescore) {
+        logForFederatedLearning(product, outputVector, error);
+    }
+
+    const explanation = { product, rows: explainEstimate(model, product, toPage) };
+
+    // Remember every observation of this product (across sessions), unless
+    // price logging is off in Options: then only what's already stored is shown
+    const productId = getProductId(site);
+    let history = null;
+    if (productId && (rescore || !CONFIG.LOGGING_ENABLED)) {
+        history = await PriceHistory.get(site, productId);
+    } else if (productId) {
+        // Written by the service worker (see price_history.js); without it
+        // the alert just has no history
+        try {
+            history = await PriceHistory.record(site, productId, product.name, {
+                price: realPrice,
+                fair: fairPrice,
+                low: estimate.low,
+                high: estimate.high,
+                currency: listing.currency,
+                error,
+                type,
+                modelVersion: model.version,
+                mrp: product.claims.mrp,
+                urgency: { timer: !!product.claims.timer, scarcity: !!product.claims.scarcity }
+            }, { url: window.location.href, category: category.id });
+        } catch (e) {
+            console.warn("⚠️ Could not record price history:", e.message);
         }
-        
-        console.warn('⚠️ No SEO metadata found, falling back to DOM scraping');
-        return null;
-        
-    } catch (e) {
-        console.error('❌ SEO extraction failed:', e);
-        return null;
+    }
+
+    // Is the advertised discount real, is the urgency manufactured?
+    const findings = DarkPatterns.assess(product, dist, type, history);
+
+    // ALWAYS SHOW POPUP - colored by the verdict from scoreProduct()
+    const view = await showColoredPopup(realPrice, estimate, error, type, history, model, listing, priceChange, explanation, findings);
+
+    // What shoppers elsewhere were shown for it today (re-scores don't report
+    // again), added to the alert when the server answers
+    if (product.context && productId) {
+        compareRegions(product, productId, !rescore).then(regional => AlertWidget.showRegional(view, regional));
     }
 }
 
 // =========================================================
-// 4. SMART DOM READER (FALLBACK METHOD)
+// 2. FEDERATED LEARNING LOGGER
 // =========================================================
-function waitForElement(selectors, timeout = 10000) {
-    return new Promise((resolve) => {
-        for (let selector of selectors) {
-            const element = document.querySelector(selector);
-            if (element && element.innerText) {
-                resolve(element);
-                return;
-            }
-        }
-        
-        const startTime = Date.now();
-        const observer = new MutationObserver(() => {
-            for (let selector of selectors) {
-                const element = document.querySelector(selector);
-                if (element && element.innerText) {
-                    observer.disconnect();
-                    resolve(element);
-                    return;
-                }
-            }
-            
-            if (Date.now() - startTime > timeout) {
-                observer.disconnect();
-                resolve(null);
-            }
-        });
-        
-        observer.observe(document.body, {
-            childList: true,
-            subtree: true
-        });
-    });
+// Entries keep where they came from (product, listing, extraction, opt-in
+// shopping context) so the log store can deduplicate and sanity-check them,
+// see log_store.js
+function logForFederatedLearning(product, output, error) {
+    const { model } = product;
+    const input = product.features;
+    const P = model.schema.price_index;
+    const logEntry = {
+        timestamp: new Date().toISOString(),
+        site: product.site,
+        product_id: productKey(product.site),
+        category: model.category,
+        features: input,
+        price: product.raw.price,
+        listing: { amount: product.listing.amount, currency: product.listing.currency },
+        extraction: { method: product.sources.price, sources: product.sources },
+        context: product.context,
+        reconstruction_error: error,
+        model_version: model.version,
+        schema_version: model.schema.version,
+        type: (input[P] > output[P]) ? "OVERPRICED_BIAS" : "UNDERPRICED_DEAL"
+    };
+
+    return saveTrainingLog(logEntry, model.schema);
 }
 
-async function extractFromDOM() {
-    const site = detectSite();
-    if (!site) return null;
-    
-    const siteConfig = CONFIG.SITE_CONFIGS[site];
-    
+async function saveTrainingLog(logEntry, schema) {
+    if (!CONFIG.LOGGING_ENABLED) {
+        console.log("⏸️ Price logging is turned off in Options, nothing stored");
+        return;
+    }
     try {
-        console.log('🔄 Falling back to DOM scraping...');
-        
-        const priceElement = await waitForElement(
-            Array.isArray(siteConfig.selectors.price) 
-                ? siteConfig.selectors.price 
-                : [siteConfig.selectors.price],
-            15000
-        );
-        
-        if (!priceElement) {
-            console.warn('❌ Price not found in DOM');
-            return null;
-        }
-        
-        let priceText = priceElement.innerText || priceElement.textContent;
-        let price = parseFloat(priceText.replace(/[^0-9]/g, ''));
-        
-        if (price === 0 || isNaN(price)) {
-            console.warn('❌ Invalid price from DOM:', priceText);
-            return null;
+        const result = await LogStore.add(logEntry, { maxPrice: schema.features[schema.price_index].max });
+        if (result.status === 'rejected') {
+            console.warn(`🚫 Training log rejected: ${result.reason}`);
+        } else {
+            console.log(`📥 Data Logged for Tonight's Training: ${logEntry.type} (${result.status})`);
         }
-        
-        const titleElement = await waitForElement(
-            Array.isArray(siteConfig.selectors.title) 
-                ? siteConfig.selectors.title 
-                : [siteConfig.selectors.title]
-        );
-        
-        let name = titleElement ? (titleElement.innerText || titleElement.textContent).toLowerCase() : "";
-        
-        console.log('✅ Extracted from DOM');
-        return { name, price };
-        
-    } catch (e) { 
-        console.error('❌ DOM extraction failed:', e);
-        return null; 
+    } catch (e) {
+        console.warn("⚠️ Could not store training log:", e.message);
     }
 }
 
 // =========================================================
-// 5. UNIVERSAL FEATURE EXTRACTOR (USES SEO FIRST)
+// 3. UI: COLORED POPUP (Red/Green/Blue)
 // =========================================================
-async function extractFeatures() {
-    const site = detectSite();
-    if (!site) return null;
-    
-    const siteConfig = CONFIG.SITE_CONFIGS[site];
-    
-    // Check if we're on a product page
-    if (!siteConfig.productPagePattern.test(window.location.pathname)) {
-        return null;
-    }
-    
-    console.log(`🔍 Analyzing ${site.toUpperCase()} product page...`);
-    
-    // TRY SEO METADATA FIRST (More Reliable)
-    let productData = extractFromSEOMetadata();
-    
-    // FALLBACK TO DOM SCRAPING
-    if (!productData) {
-        productData = await extractFromDOM();
-    }
-    
-    if (!productData || !productData.price) {
-        console.warn('❌ Could not extract product data');
-        return null;
-    }
-    
-    const { name, price } = productData;
-    
-    // Extract Brand
-    let brandIdx = 13; 
-    for (let b in CONFIG.COMPANY_MAP) {
-        if (name.includes(b)) { 
-            brandIdx = CONFIG.COMPANY_MAP[b]; 
-            console.log(`🏷️ Brand detected: ${b}`);
-            break; 
-        }
-    }
-    
-    // Extract Type
-    let typeIdx = 0;
-    if (name.includes('gaming') || name.includes('rog') || name.includes('alienware') || name.includes('tuf')) {
-        typeIdx = 2;
-        console.log('🎮 Type: Gaming');
-    } else if (name.includes('ultrabook') || name.includes('macbook') || name.includes('air')) {
-        typeIdx = 1;
-        console.log('✈️ Type: Ultrabook');
-    }
-    
-    // Extract RAM
-    let ram = 8; // default
-    let ramMatch = name.match(/(\d+)\s*gb\s*(ram|ddr)/i);
-    if (ramMatch) {
-        ram = parseInt(ramMatch[1]);
-        console.log(`💾 RAM detected: ${ram}GB`);
-    }
-    
-    console.log(`✅ Feature vector created successfully`);
-    return [
-        typeIdx / 5.0, 
-        brandIdx / 13.0, 
-        ram / CONFIG.MAX_RAM, 
-        price / CONFIG.MAX_PRICE
-    ];
+// Rendered by the Shadow DOM widget in alert_widget.js; re-audits update the
+// open alert in place instead of stacking a new one.
+// estimate: { fair, low, high, width, confidence } in the page's currency
+// explanation: { product, rows } from explainEstimate()
+// findings: [{ kind, ... }] from DarkPatterns.assess()
+// Returns the rendered view, for AlertWidget.showRegional()
+async function showColoredPopup(real, estimate, err, type, history = null, model = null, listing = null, priceChange = null, explanation = null, findings = []) {
+    const view = {
+        type,
+        real,
+        estimate,
+        err,
+        history,
+        model,
+        listing,
+        priceChange,
+        explanation,
+        regional: null,
+        findings,
+        onRescore: (values) => applyCorrections(explanation.product, values)
+    };
+    await AlertWidget.render(view);
+    return view;
 }
 
 // =========================================================
-// 6. MATH ENGINE (Tiny-VAE Logic)
+// 4. EXPLANATIONS & CORRECTIONS ("Why this estimate?")
 // =========================================================
-const MathOps = {
-    dense: (input, weights, bias, activation) => {
-        let output = [];
-        for (let j = 0; j < weights[0].length; j++) {
-            let sum = 0;
-            for (let i = 0; i < input.length; i++) sum += input[i] * weights[i][j];
-            if (bias) sum += bias[j];
-            if (activation === 'relu') output.push(Math.max(0, sum));
-            else if (activation === 'sigmoid') output.push(1 / (1 + Math.exp(-sum)));
-            else output.push(sum);
+// Per feature: its value, where it came from, and how much the fair estimate
+// moves when that feature alone is reset to the schema default
+function explainEstimate(model, product, toPage) {
+    const P = model.schema.price_index;
+    const defaults = encodeFeatures({}, model.schema);
+    const base = model.priceOf(model.predict(product.features));
+
+    return model.schema.features.map((feature, i) => {
+        let impact = null;
+        if (i !== P && product.features[i] !== defaults[i]) {
+            const perturbed = product.features.slice();
+            perturbed[i] = defaults[i];
+            impact = toPage(base - model.priceOf(model.predict(perturbed)));
         }
-        return output;
-    }
-};
+        return {
+            feature,
+            value: product.raw[feature.name] ?? feature.default,
+            source: product.sources[feature.name],
+            impact
+        };
+    });
+}
 
-// =========================================================
-// 7. AI MODEL CLASS
-// =========================================================
-class TinyVAE {
-    constructor() {
-        this.weights = null;
-        this.loaded = false;
-    }
+// Corrections are remembered per product ("fc:<site>:<productId>")
+function correctionsKey(site) {
+    return `fc:${site}:${productKey(site)}`;
+}
 
-    async loadBrain() {
-        try {
-            console.log("📡 Connecting to Central Server...");
-            const response = await fetch('http://localhost:5000/get-global-model');
-            this.weights = await response.json();
-            this.loaded = true;
-            console.log("🧠 Global Intelligence Downloaded from Server!");
-        } catch (e) {
-            console.warn("⚠️ Server Offline. Falling back to local cache...");
-            const url = chrome.runtime.getURL('model_weights.json');
-            const localResp = await fetch(url);
-            this.weights = await localResp.json();
-            this.loaded = true;
-            console.log("📂 Local Weights Loaded (Server Unreachable).");
-        }
-    }
+async function loadCorrections(site) {
+    const key = correctionsKey(site);
+    const data = await chrome.storage.local.get({ [key]: {} });
+    return data[key];
+}
 
-    predict(features) {
-        if (!this.loaded) return null;
+// values: { featureName: edited string } from the alert's explanation panel
+async function applyCorrections(product, values) {
+    const schema = product.model.schema;
+    const changes = {};
 
-        let h1 = MathOps.dense(features, this.weights.encoder[0], this.weights.encoder[1], 'relu');
-        let h2 = MathOps.dense(h1, this.weights.encoder[2], this.weights.encoder[3], 'relu');
-        let z_mean = MathOps.dense(h2, this.weights.encoder[4], this.weights.encoder[5], 'linear');
+    for (let [name, text] of Object.entries(values)) {
+        const feature = schema.features.find(f => f.name === name);
+        if (!feature) continue;
+        const value = feature.encoding === 'category' ? text : Number(text);
+        if (feature.encoding === 'numeric' && !(value >= 0 && value <= feature.max)) continue;
 
-        let d1 = MathOps.dense(z_mean, this.weights.decoder[0], this.weights.decoder[1], 'relu');
-        let d2 = MathOps.dense(d1, this.weights.decoder[2], this.weights.decoder[3], 'relu');
-        let reconstructed = MathOps.dense(d2, this.weights.decoder[4], this.weights.decoder[5], 'sigmoid');
+        const current = product.raw[feature.name] ?? feature.default;
+        if (value !== current) changes[feature.name] = { from: current, to: value };
+    }
+    if (!Object.keys(changes).length) return;
+
+    const key = correctionsKey(product.site);
+    const stored = await loadCorrections(product.site);
+    for (let [name, change] of Object.entries(changes)) stored[name] = change.to;
+    await chrome.storage.local.set({ [key]: stored });
+
+    logCorrection(product, changes);
+    console.log('✏️ Corrections saved:', changes);
+    await runAudit({ rescore: true });
+}
 
-        return reconstructed;
+// The corrected vector is a labelled example: train on it like any other log
+function logCorrection(product, changes) {
+    const { model } = product;
+    const corrected = { ...product.raw };
+    const sources = { ...product.sources };
+    for (let [name, change] of Object.entries(changes)) {
+        corrected[name] = change.to;
+        sources[name] = 'user';
     }
+
+    return saveTrainingLog({
+        timestamp: new Date().toISOString(),
+        site: product.site,
+        product_id: productKey(product.site),
+        category: model.category,
+        features: encodeFeatures(corrected, model.schema),
+        price: corrected.price,
+        listing: { amount: product.listing.amount, currency: product.listing.currency },
+        extraction: { method: sources.price, sources },
+        context: product.context,
+        corrections: changes,
+        model_version: model.version,
+        schema_version: model.schema.version,
+        type: "USER_CORRECTION"
+    }, model.schema);
 }
 
 // =========================================================
-// 8. MAIN LOGIC
+// 5. LIVE RE-AUDIT (SPA navigation, variant switches, price changes)
 // =========================================================
-const ai = new TinyVAE();
-ai.loadBrain(); 
+// One MutationObserver notices both client-side navigation (URL changed)
+// and the price node being rewritten; bursts of changes are debounced into
+// a single re-audit. Audits of any kind (first, live, re-scores after
+// corrections or Options changes) never overlap, see runAudit().
+const auditState = {
+    url: null,
+    priceText: null,
+    first: null,     // { key, listing } of the first audit of the current product
+    timer: null,
+    running: false,
+    queued: null     // runAnalysis() options of the audit to run next
+};
 
-async function runAnalysis() {
-    const site = detectSite();
-    if (!site) return;
-    
-    if (!ai.loaded) { 
-        setTimeout(runAnalysis, 500); 
-        return; 
+// Runs runAnalysis(options) now, or after the running audit. Of several
+// queued requests the latest wins, except that a re-score never replaces a
+// full audit (which re-scores too, but also records the new price).
+async function runAudit(options = {}) {
+    if (auditState.running) {
+        if (!auditState.queued || auditState.queued.rescore) auditState.queued = options;
+        return;
+    }
+    auditState.running = true;
+    try {
+        await runAnalysis(options);
+    } catch (e) {
+        console.error("❌ Analysis failed:", e);
+    } finally {
+        auditState.running = false;
+    }
+    const next = auditState.queued;
+    if (next) {
+        auditState.queued = null;
+        await runAudit(next);
     }
+}
 
-    const inputVector = await extractFeatures();
-    if (!inputVector) return;
-    
-    const outputVector = ai.predict(inputVector);
-    
-    const realPrice = inputVector[3] * CONFIG.MAX_PRICE;
-    const fairPrice = outputVector[3] * CONFIG.MAX_PRICE;
-    const error = Math.abs(inputVector[3] - outputVector[3]);
+function scheduleReaudit(reason) {
+    clearTimeout(auditState.timer);
+    auditState.timer = setTimeout(() => {
+        console.log(`🔁 Re-auditing (${reason})...`);
+        runAudit({ live: true });
+    }, CONFIG.REAUDIT_DEBOUNCE_MS);
+}
 
-    console.log(`📉 Analysis: Real ₹${realPrice.toFixed(0)} vs Fair ₹${fairPrice.toFixed(0)} | Error: ${error.toFixed(4)}`);
+function watchPage() {
+    const adapter = SiteRegistry.get(detectSite());
+    if (!adapter) return;
 
-    // Log for federated learning if error exceeds threshold
-    if (error > CONFIG.THRESHOLD) {
-        logForFederatedLearning(inputVector, outputVector, error);
-    }
+    const livePriceText = () => (readLivePrice(adapter) || {}).text || null;
+    auditState.url = window.location.href;
+    auditState.priceText = livePriceText();
 
-    // ALWAYS SHOW POPUP - Color based on price comparison
-    if (error < CONFIG.MAX_ERROR_CAP) {
-        if (inputVector[3] > outputVector[3] && error > CONFIG.BIAS_TOLERANCE) {
-            console.warn("🚨 PRICE BIAS DETECTED (High)");
-            showColoredPopup(realPrice, fairPrice, error, 'overpriced');
-        } else if (inputVector[3] < outputVector[3] && error > CONFIG.THRESHOLD) {
-            console.log("💎 GOOD DEAL DETECTED (Low Price)");
-            showColoredPopup(realPrice, fairPrice, error, 'deal');
-        } else {
-            console.log("✅ FAIR PRICE DETECTED");
-            showColoredPopup(realPrice, fairPrice, error, 'fair');
+    const check = () => {
+        if (window.location.href !== auditState.url) {
+            auditState.url = window.location.href;
+            auditState.priceText = livePriceText();
+            scheduleReaudit('navigation');
+            return;
+        }
+        // Listing pages watch their own cards (listing.js)
+        if (!adapter.productPagePattern.test(window.location.pathname)) return;
+        const text = livePriceText();
+        if (text && text !== auditState.priceText) {
+            auditState.priceText = text;
+            scheduleReaudit('price change');
         }
-    } else {
-        console.log("⚠️ Price variance too high - model needs more training data from this platform");
-    }
-}
-
-// =========================================================
-// 9. FEDERATED LEARNING LOGGER
-// =========================================================
-function logForFederatedLearning(input, output, error) {
-    const logEntry = {
-        timestamp: new Date().toISOString(),
-        site: detectSite(),
-        features: input,
-        reconstruction_error: error,
-        type: (input[3] > output[3]) ? "OVERPRICED_BIAS" : "UNDERPRICED_DEAL"
     };
 
-    chrome.storage.local.get({trainingLogs: []}, function(result) {
-        let logs = result.trainingLogs;
-        logs.push(logEntry);
-        chrome.storage.local.set({trainingLogs: logs}, function() {
-            console.log("📥 Data Logged for Tonight's Training:", logEntry.type);
-        });
-    });
+    new MutationObserver(check).observe(document.body, { childList: true, subtree: true, characterData: true });
+    window.addEventListener('popstate', check);
+    if (window.navigation) window.navigation.addEventListener('navigatesuccess', check);
 }
 
 // =========================================================
-// 10. UI: COLORED POPUP (Red/Green/Blue)
+// 6. REGIONAL COMPARISON (opt-in, see regional.js)
 // =========================================================
-function showColoredPopup(real, fair, err, type) {
-    if (document.getElementById('fairmarket-alert')) return;
-    
-    let headerColor, headerIcon, headerText, messageText, priceColor;
-    
-    if (type === 'overpriced') {
-        headerColor = '#ff4757';
-        headerIcon = '⚠️';
-        headerText = 'Potential Price Bias';
-        messageText = 'This price is <b>higher</b> than our AI model expected based on market patterns.';
-        priceColor = '#ff4757';
-    } else if (type === 'deal') {
-        headerColor = '#2196F3';
-        headerIcon = '💎';
-        headerText = 'Good Deal Detected';
-        messageText = 'This price is <b>lower</b> than our AI model expected. Could be a great deal!';
-        priceColor = '#2196F3';
-    } else {
-        headerColor = '#2ed573';
-        headerIcon = '✅';
-        headerText = 'Fair Price';
-        messageText = 'This price matches our AI model\'s market expectations.';
-        priceColor = '#2ed573';
+// Reports the price this user was shown, then asks the server what other
+// regions saw. Returns { low, high, regions, region } in the page's currency,
+// or null; an unreachable server only costs the comparison, never the alert.
+async function compareRegions(product, productId, report) {
+    const { site, listing, context } = product;
+    try {
+        if (report) {
+            RegionalPrices.report(site, productId, Currency.toBase(listing.amount, listing.currency), context)
+                .catch(e => console.warn("⚠️ Could not report price for regional comparison:", e.message));
+        }
+        const range = RegionalPrices.othersRange(await RegionalPrices.query(site, productId), context.region);
+        if (!range) return null;
+
+        const toPage = (amount) => Currency.fromBase(amount, listing.currency);
+        console.log(`🗺️ ${range.regions} other region(s) saw ${Currency.format(toPage(range.low), listing.currency)}–${Currency.format(toPage(range.high), listing.currency)} (you: ${context.region || 'unknown region'})`);
+        return { low: toPage(range.low), high: toPage(range.high), regions: range.regions, region: context.region };
+    } catch (e) {
+        console.warn("⚠️ Regional comparison unavailable:", e.message);
+        return null;
     }
-    
-    const div = document.createElement('div');
-    div.id = 'fairmarket-alert';
-    div.innerHTML = `
-        <div style="position:fixed; top:130px; right:20px; width:320px; background:white; 
-             box-shadow:0 8px 30px rgba(0,0,0,0.3); border-radius:12px; z-index:99999; font-family:sans-serif; animation: slideIn 0.5s;">
-            <div style="background:${headerColor}; color:white; padding:15px; font-weight:bold; border-radius:12px 12px 0 0; display:flex; justify-content:space-between;">
-                <span>${headerIcon} ${headerText}</span>
-                <span onclick="this.parentElement.parentElement.remove()" style="cursor:pointer;">×</span>
-            </div>
-            <div style="padding:20px;">
-                <div style="font-size:14px; color:#333; margin-bottom:10px;">
-                    ${messageText}
-                </div>
-                <div style="background:#f8f9fa; padding:10px; border-radius:6px; font-size:13px; border:1px solid #e9ecef;">
-                    <div>Listing Price: <b style="color:${priceColor}">₹${Math.round(real).toLocaleString()}</b></div>
-                    <div>Fair Estimate: <b style="color:#555">~₹${Math.round(fair).toLocaleString()}</b></div>
-                </div>
-                <div style="margin-top:10px; font-size:10px; color:#888;">
-                    ${err > CONFIG.THRESHOLD ? 'Data logged for Federated Learning.' : 'No training needed - price within normal range.'}
-                </div>
-            </div>
-        </div>
-        <style> @keyframes slideIn { from { transform: translateX(120%); } to { transform: translateX(0); } } </style>
-    `;
-    document.body.appendChild(div);
 }
 
 // =========================================================
-// 11. INITIALIZATION
+// 7. INITIALIZATION
 // =========================================================
-window.addEventListener('load', () => setTimeout(runAnalysis, 3000));
\ No newline at end of file
+// A failed first audit still watches the page: the next navigation or
+// price change gets another try
+window.addEventListener('load', () => setTimeout(async () => {
+    await runAudit();
+    watchPage();
+}, 3000));
+
+// Options saved while the page is open: re-score with the new thresholds
+// (or drop the alert if this site was just switched off); listing badges
+// are scored again from scratch
+Settings.onChange(async (settings) => {
+    applySettings(settings);
+    ListingBadges.stop();
+    await runAudit({ rescore: true });
+});
\ No newline at end of file
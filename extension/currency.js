@@ -0,0 +1,157 @@
+// =========================================================
+// CURRENCY-AWARE PRICE PARSING (Shared by content.js)
+// =========================================================
+// Turns listing text like "₹1,23,456.00", "$1,299.99", "1.299,00 €" or
+// "£249 - £299" into amounts + ISO currency codes, and converts them to the
+// base currency the models are trained in. Rates come from the bundled
+// exchange_rates.json (refresh it offline with backend/update_rates.py);
+// a table saved with Currency.setRates() takes precedence over it.
+const CURRENCY = {
+    BASE: 'INR',
+    RATES_FILE: 'exchange_rates.json',
+    RATES_KEY: 'exchangeRates'
+};
+
+// Longest symbols first so "US$" wins over "$" and "Rs." over "Rs"
+const CURRENCY_SYMBOLS = [
+    ['US$', 'USD'], ['S$', 'SGD'], ['A$', 'AUD'], ['C$', 'CAD'],
+    ['Rs.', 'INR'], ['Rs', 'INR'], ['₹', 'INR'],
+    ['£', 'GBP'], ['€', 'EUR'], ['¥', 'JPY'], ['$', 'USD']
+];
+
+// Locale used to display each currency
+const CURRENCY_LOCALES = {
+    INR: 'en-IN', USD: 'en-US', GBP: 'en-GB', EUR: 'de-DE',
+    AED: 'en-AE', SGD: 'en-SG', AUD: 'en-AU', CAD: 'en-CA', JPY: 'ja-JP'
+};
+
+const Currency = {
+    table: null,
+    loading: null,
+
+    // { base, updated, rates: { ISO: units of base per 1 ISO } }
+    loadRates() {
+        if (this.table) return Promise.resolve(this.table);
+        if (!this.loading) {
+            this.loading = (async () => {
+                const data = await chrome.storage.local.get({ [CURRENCY.RATES_KEY]: null });
+                if (data[CURRENCY.RATES_KEY]) {
+                    this.table = data[CURRENCY.RATES_KEY];
+                } else {
+                    const res = await fetch(chrome.runtime.getURL(CURRENCY.RATES_FILE));
+                    this.table = await res.json();
+                }
+                console.log(`💱 Exchange rates from ${this.table.updated} (${Object.keys(this.table.rates).length} currencies)`);
+                return this.table;
+            })();
+        }
+        return this.loading;
+    },
+
+    async setRates(table) {
+        if (!table || table.base !== CURRENCY.BASE || typeof table.rates !== 'object') {
+            throw new Error(`Rate table must be based on ${CURRENCY.BASE}`);
+        }
+        for (let [code, rate] of Object.entries(table.rates)) {
+            if (!/^[A-Z]{3}$/.test(code) || !(rate > 0)) throw new Error(`Invalid rate for ${code}`);
+        }
+        await chrome.storage.local.set({ [CURRENCY.RATES_KEY]: table });
+        this.table = table;
+        return table;
+    },
+
+    // ISO code from an explicit code or symbol in the text, else null
+    detect(text) {
+        const str = String(text || '');
+        const code = str.match(/\b([A-Z]{3})\b/);
+        if (code && CURRENCY_LOCALES[code[1]]) return code[1];
+        for (let [symbol, iso] of CURRENCY_SYMBOLS) {
+            if (str.includes(symbol)) return iso;
+        }
+        return null;
+    },
+
+    // Number from a localized string: "1,23,456.00", "1.299,00", "1 299", "62,990."
+    // With both separators present the last one is the decimal point; a lone
+    // separator followed by exactly three digits is thousands grouping.
+    parseAmount(text) {
+        if (typeof text === 'number') return isFinite(text) ? text : null;
+        const match = String(text || '').match(/\d[\d.,'\s\u00a0\u202f]*/);
+        if (!match) return null;
+
+        let num = match[0].replace(/[\s\u00a0\u202f']/g, '').replace(/[.,]+$/, '');
+        const lastComma = num.lastIndexOf(','), lastDot = num.lastIndexOf('.');
+
+        let decimal = null;
+        if (lastComma >= 0 && lastDot >= 0) {
+            decimal = lastComma > lastDot ? ',' : '.';
+        } else if (lastComma >= 0 || lastDot >= 0) {
+            const sep = lastComma >= 0 ? ',' : '.';
+            const parts = num.split(sep);
+            if (parts.length === 2 && parts[1].length !== 3) decimal = sep;
+        }
+
+        const grouping = decimal === ',' ? '.' : decimal === '.' ? ',' : /[.,]/g;
+        num = num.split(grouping).join('');
+        if (decimal === ',') num = num.replace(',', '.');
+
+        const value = parseFloat(num);
+        return isNaN(value) ? null : value;
+    },
+
+    // { amount, currency, low?, high? } or null. Ranges ("₹999 - ₹1,299")
+    // report the low end as the amount.
+    parse(text, fallbackCurrency = CURRENCY.BASE) {
+        if (typeof text === 'number') return text > 0 ? { amount: text, currency: fallbackCurrency } : null;
+        const str = String(text ?? '');
+        const currency = this.detect(str) || fallbackCurrency;
+        const bounds = str.split(/\s*(?:[-–—]|\bto\b)\s*/i)
+            .map(part => this.parseAmount(part))
+            .filter(v => v !== null && v > 0);
+
+        if (!bounds.length) return null;
+        if (bounds.length > 1) {
+            const low = Math.min(...bounds), high = Math.max(...bounds);
+            return { amount: low, currency, low, high };
+        }
+        return { amount: bounds[0], currency };
+    },
+
+    rateOf(currency) {
+        if (!this.table) throw new Error('Exchange rates not loaded');
+        return this.table.rates[currency] || null;
+    },
+
+    // null when the currency is not in the rate table
+    toBase(amount, currency) {
+        const rate = this.rateOf(currency);
+        return rate ? amount * rate : null;
+    },
+
+    fromBase(amount, currency) {
+        const rate = this.rateOf(currency);
+        return rate ? amount / rate : null;
+    },
+
+    // Number / date locale: the browser UI language (Hindi, Tamil, ... as used
+    // in India), except that English keeps each currency's own conventions
+    // such as lakh grouping for INR
+    displayLocale(currency = CURRENCY.BASE) {
+        const ui = chrome.i18n ? chrome.i18n.getUILanguage() : 'en';
+        const lang = ui.split(/[-_]/)[0];
+        if (lang === 'en') return CURRENCY_LOCALES[currency];
+        return /[-_]/.test(ui) ? ui.replace('_', '-') : `${lang}-IN`;
+    },
+
+    format(amount, currency = CURRENCY.BASE) {
+        try {
+            return new Intl.NumberFormat(this.displayLocale(currency), {
+                style: 'currency',
+                currency,
+                maximumFractionDigits: amount >= 1000 ? 0 : 2
+            }).format(amount);
+        } catch (e) {
+            return `${currency} ${Math.round(amount).toLocaleString()}`;
+        }
+    }
+};
@@ -0,0 +1,123 @@
+// =========================================================
+// FAKE DISCOUNT & URGENCY CHECKS (Used by content.js)
+// =========================================================
+// Retailers advertise discounts against a struck-through M.R.P. the product
+// never sold at, and push "Only 2 left" or countdown-deal banners. The
+// claims are read through the adapter's optional mrp, discount, dealTimer
+// and scarcity selectors (sites.js), stored with every price-history
+// observation, and checked against the model and what this user saw before:
+//   mrpAboveFair      M.R.P. far above the top of the fair range
+//   mrpNeverSeen      weeks of visits, and the price never came near the M.R.P.
+//   discountMismatch  the claimed "% off" is more than M.R.P. and price give
+//   timerWithoutDeal  a countdown deal on a price that isn't below the fair range
+//   urgencyRepeats    a scarcity or countdown notice on several different days
+// Requires currency.js, sites.js and price_history.js.
+const DARK_PATTERNS = {
+    MRP_ABOVE_FAIR: 1.3,        // M.R.P. / upper end of the fair range
+    NEVER_SEEN_DAYS: 14,
+    NEVER_SEEN_VISITS: 3,
+    NEVER_SEEN_RATIO: 0.9,      // highest price seen stayed below 90% of the M.R.P.
+    DISCOUNT_TOLERANCE: 5,      // percentage points of rounding the page may do
+    URGENCY_DAYS: 3,
+    MAX_TEXT: 60,
+    SCARCITY_PATTERN: /only\s+\d+\s+(left|remaining)|hurry|few\s+left|selling\s+fast|limited\s+stock|almost\s+gone/i,
+    TIMER_PATTERN: /ends\s+in|\b\d{1,2}\s*:\s*\d{2}\b|\d+\s*h(?:rs?|ours?)?\s+\d+\s*m|lightning\s+deal|deal\s+of\s+the\s+day|limited\s+time/i
+};
+
+// =========================================================
+// 1. CLAIMS ON THE PAGE
+// =========================================================
+const DiscountClaims = {
+    // Text of the first element of the group (that matches `pattern`)
+    read(adapter, group, pattern = null) {
+        for (let selector of SiteRegistry.selectorsFor(adapter, group)) {
+            for (let el of document.querySelectorAll(selector)) {
+                const text = (el.textContent || '').replace(/\s+/g, ' ').trim();
+                if (text && (!pattern || pattern.test(text))) return text;
+            }
+        }
+        return null;
+    },
+
+    // { mrp, discount, timer, scarcity }: mrp in the listing's currency (only
+    // when above the price), discount in percent, the notices as shown
+    detect(adapter, listing) {
+        const mrpText = this.read(adapter, 'mrp');
+        // "M.R.P.: ₹89,990.00" - the label's dots aren't decimals
+        const mrp = mrpText ? Currency.parse(mrpText.replace(/m\.?\s*r\.?\s*p\.?\s*:?/i, ''), adapter.currency) : null;
+        const percent = (this.read(adapter, 'discount') || '').match(/(\d{1,2}(?:\.\d+)?)\s*%/);
+        const notice = (group, pattern) => {
+            const text = this.read(adapter, group, pattern);
+            return text ? text.substring(0, DARK_PATTERNS.MAX_TEXT) : null;
+        };
+
+        return {
+            mrp: mrp && mrp.currency === listing.currency && mrp.amount > listing.amount ? mrp.amount : null,
+            discount: percent ? Number(percent[1]) : null,
+            timer: notice('dealTimer', DARK_PATTERNS.TIMER_PATTERN),
+            scarcity: notice('scarcity', DARK_PATTERNS.SCARCITY_PATTERN)
+        };
+    }
+};
+
+// =========================================================
+// 2. CHECKS
+// =========================================================
+const DarkPatterns = {
+    // Findings [{ kind, ... }] for the alert, amounts in the page's currency.
+    // dist is scoreProduct()'s fair-price distribution (base currency), type
+    // its verdict; history includes this visit.
+    assess(product, dist, type, history) {
+        const { claims, listing } = product;
+        const findings = [];
+        const verdict = !['learning', 'uncertain'].includes(type);
+
+        if (claims.mrp) {
+            const high = Currency.fromBase(dist.high, listing.currency);
+            if (verdict && claims.mrp > high * DARK_PATTERNS.MRP_ABOVE_FAIR) {
+                findings.push({ kind: 'mrpAboveFair', mrp: claims.mrp, high });
+            }
+
+            const seen = this.highestSeen(history, listing.currency);
+            if (seen && seen.max < claims.mrp * DARK_PATTERNS.NEVER_SEEN_RATIO) {
+                findings.push({ kind: 'mrpNeverSeen', mrp: claims.mrp, max: seen.max, days: seen.days });
+            }
+
+            // Only overstated discounts, sites round the other way all the time
+            const actual = (claims.mrp - listing.amount) / claims.mrp * 100;
+            if (claims.discount !== null && claims.discount - actual > DARK_PATTERNS.DISCOUNT_TOLERANCE) {
+                findings.push({ kind: 'discountMismatch', mrp: claims.mrp, claimed: claims.discount, actual: Math.round(actual) });
+            }
+        }
+
+        if (claims.timer && verdict && type !== 'deal') {
+            findings.push({ kind: 'timerWithoutDeal', text: claims.timer });
+        }
+        for (let cue of ['timer', 'scarcity']) {
+            const days = claims[cue] ? this.daysShown(history, cue) : 0;
+            if (days >= DARK_PATTERNS.URGENCY_DAYS) findings.push({ kind: 'urgencyRepeats', text: claims[cue], days });
+        }
+
+        if (findings.length) console.warn(`🏷️ Discount / urgency findings: ${findings.map(f => f.kind).join(', ')}`);
+        return findings;
+    },
+
+    // { max, days } over this product's observations in `currency`, or null
+    // while there are too few of them to say what it usually costs
+    highestSeen(history, currency) {
+        const observations = history ? history.observations.filter(o => o.currency === currency) : [];
+        if (observations.length < DARK_PATTERNS.NEVER_SEEN_VISITS) return null;
+        const days = Math.floor((observations[observations.length - 1].t - observations[0].t) / 86400000);
+        if (days < DARK_PATTERNS.NEVER_SEEN_DAYS) return null;
+        return { max: Math.max(...observations.map(o => o.price)), days };
+    },
+
+    // Distinct days the notice was on the page
+    daysShown(history, cue) {
+        if (!history) return 0;
+        const days = history.observations
+            .filter(o => o.urgency && o.urgency[cue])
+            .map(o => new Date(o.t).toISOString().substring(0, 10));
+        return new Set(days).size;
+    }
+};
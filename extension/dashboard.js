@@ -0,0 +1,433 @@
+// 1. UI SETUP
+// Exports are plain files the user keeps (e.g. as evidence for a complaint
+// about a listing); JSON has everything and imports back, CSV has one row
+// per audit or training log
+const DASHBOARD = {
+    EXPORT_FORMAT: 'fairmarket-export',
+    EXPORT_VERSION: 1,
+    AUDIT_COLUMNS: [
+        'site', 'product_id', 'name', 'category', 'url', 'time', 'price', 'currency',
+        'fair', 'low', 'high', 'error', 'verdict', 'model_version', 'mrp', 'timer', 'scarcity'
+    ],
+    LOG_COLUMNS: [
+        'id', 'timestamp', 'site', 'product_id', 'category', 'type', 'price', 'listing_amount', 'listing_currency',
+        'extraction_method', 'reconstruction_error', 'model_version', 'schema_version', 'features'
+    ],
+    // Survive a wipe: the privacy ledger (wiping must not refill the budget),
+    // preferences set in the popup, and downloaded models and rates
+    KEEP_ON_WIPE: ['privacyLedger', 'privacySettings', 'federatedSettings', 'exchangeRates'],
+    KEEP_PREFIXES: [`${MODEL_SYNC.STORAGE_KEY}:`]
+};
+
+const VERDICT_LABELS = { overpriced: 'Overpriced', deal: 'Good deal', fair: 'Fair', uncertain: 'Uncertain', learning: 'Learning' };
+
+const view = { audits: [], logs: [], sort: { key: 'time', dir: -1 } };
+
+document.addEventListener('DOMContentLoaded', async () => {
+    await Currency.loadRates();
+    load();
+});
+['search', 'siteFilter', 'verdictFilter', 'latestOnly'].forEach(id => {
+    document.getElementById(id).addEventListener('input', render);
+});
+document.querySelector('thead').addEventListener('click', (e) => {
+    const th = e.target.closest('th[data-sort]');
+    if (!th) return;
+    const key = th.dataset.sort;
+    view.sort = { key, dir: view.sort.key === key ? -view.sort.dir : (['time', 'gap', 'error'].includes(key) ? -1 : 1) };
+    render();
+});
+document.getElementById('exportJson').addEventListener('click', exportJson);
+document.getElementById('exportAuditsCsv').addEventListener('click', () => {
+    download(`fairmarket-audits-${today()}.csv`, toCsv(DASHBOARD.AUDIT_COLUMNS, auditRows(view.audits, false).map(auditRecord)), 'text/csv');
+});
+document.getElementById('exportLogsCsv').addEventListener('click', () => {
+    download(`fairmarket-training-logs-${today()}.csv`, toCsv(DASHBOARD.LOG_COLUMNS, view.logs.map(logRecord)), 'text/csv');
+});
+document.getElementById('importBtn').addEventListener('click', () => document.getElementById('importFile').click());
+document.getElementById('importFile').addEventListener('change', (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (file) importFile(file);
+});
+document.getElementById('wipeBtn').addEventListener('click', wipe);
+
+// Audits from open tabs, federated rounds emptying the logs
+chrome.storage.onChanged.addListener((changes, area) => {
+    if (area !== 'local') return;
+    if (Object.keys(changes).some(k => k === LOG_STORE.STORAGE_KEY || k.startsWith(PRICE_HISTORY.KEY_PREFIX))) load();
+});
+
+function showStatus(text, color = '') {
+    const status = document.getElementById('status');
+    status.innerText = text;
+    status.style.color = color;
+}
+
+function escapeHtml(text) {
+    return String(text).replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[c]);
+}
+
+function today() {
+    return new Date().toISOString().substring(0, 10);
+}
+
+// =========================================================
+// 2. AUDIT HISTORY
+// =========================================================
+async function load() {
+    [view.audits, view.logs] = await Promise.all([PriceHistory.getAll(), LogStore.list()]);
+    renderSiteFilter();
+    render();
+}
+
+// One row per observation (or per product, its latest), newest first
+function auditRows(entries, latestOnly) {
+    return entries.flatMap(entry => {
+        const observations = latestOnly ? entry.observations.slice(-1) : entry.observations;
+        return observations.map(o => ({ entry, o, gap: o.fair > 0 ? (o.price - o.fair) / o.fair * 100 : null }));
+    }).sort((a, b) => b.o.t - a.o.t);
+}
+
+function siteLabel(site) {
+    const adapter = SiteRegistry.get(site);
+    return adapter ? adapter.label : site;
+}
+
+function renderSiteFilter() {
+    const select = document.getElementById('siteFilter');
+    const current = select.value;
+    const sites = [...new Set(view.audits.map(entry => entry.site))].sort();
+    select.innerHTML = '<option value="">All sites</option>' + sites
+        .map(site => `<option value="${escapeHtml(site)}">${escapeHtml(siteLabel(site))}</option>`).join('');
+    select.value = sites.includes(current) ? current : '';
+}
+
+const SORT_KEYS = {
+    time: row => row.o.t,
+    site: row => siteLabel(row.entry.site).toLowerCase(),
+    name: row => (row.entry.name || row.entry.productId).toLowerCase(),
+    price: row => Currency.toBase(row.o.price, row.o.currency),
+    fair: row => row.o.fair > 0 ? Currency.toBase(row.o.fair, row.o.currency) : null,
+    gap: row => row.gap,
+    error: row => Number.isFinite(row.o.error) ? row.o.error : null,
+    verdict: row => row.o.type || null
+};
+
+// Rows without a value go last in either direction
+function sortRows(rows, { key, dir }) {
+    const value = SORT_KEYS[key];
+    return rows.slice().sort((a, b) => {
+        const x = value(a), y = value(b);
+        if (x === null || y === null) return (x === null) - (y === null);
+        return (x < y ? -1 : x > y ? 1 : 0) * dir;
+    });
+}
+
+function filterRows(rows) {
+    const query = document.getElementById('search').value.trim().toLowerCase();
+    const site = document.getElementById('siteFilter').value;
+    const verdict = document.getElementById('verdictFilter').value;
+    return rows.filter(({ entry, o }) =>
+        (!query || (entry.name || '').toLowerCase().includes(query) || String(entry.productId).toLowerCase().includes(query)) &&
+        (!site || entry.site === site) &&
+        (!verdict || o.type === verdict));
+}
+
+function render() {
+    renderStats();
+
+    const all = auditRows(view.audits, document.getElementById('latestOnly').checked);
+    const rows = sortRows(filterRows(all), view.sort);
+    document.getElementById('rowCount').innerText = `${rows.length} of ${all.length} audits`;
+    document.getElementById('empty').hidden = rows.length > 0;
+
+    document.querySelectorAll('th[data-sort]').forEach(th => {
+        if (th.dataset.sort === view.sort.key) th.setAttribute('aria-sort', view.sort.dir > 0 ? 'ascending' : 'descending');
+        else th.removeAttribute('aria-sort');
+    });
+
+    document.getElementById('auditRows').innerHTML = rows.map(({ entry, o, gap }) => {
+        const name = escapeHtml(entry.name || entry.productId);
+        // Only links back to the store, never javascript: or data: URLs from an import
+        const product = /^https?:\/\//i.test(entry.url || '')
+            ? `<a href="${escapeHtml(entry.url)}" target="_blank" rel="noopener">${name}</a>`
+            : name;
+        const range = o.low > 0 && o.high > 0
+            ? `<div class="muted">${escapeHtml(Currency.format(o.low, o.currency))} – ${escapeHtml(Currency.format(o.high, o.currency))}</div>`
+            : '';
+        return `
+            <tr>
+                <td>${escapeHtml(new Date(o.t).toLocaleString())}</td>
+                <td>${escapeHtml(siteLabel(entry.site))}</td>
+                <td>${product}<div class="muted">${escapeHtml(entry.productId)}${entry.category ? ` · ${escapeHtml(entry.category)}` : ''}</div></td>
+                <td class="num">${escapeHtml(Currency.format(o.price, o.currency))}</td>
+                <td class="num">${o.fair > 0 ? escapeHtml(Currency.format(o.fair, o.currency)) : '—'}${range}</td>
+                <td class="num">${gap === null ? '—' : `${gap > 0 ? '+' : ''}${gap.toFixed(1)}%`}</td>
+                <td class="num">${Number.isFinite(o.error) ? o.error.toFixed(4) : '—'}</td>
+                <td>${o.type ? `<span class="verdict ${escapeHtml(o.type)}">${escapeHtml(VERDICT_LABELS[o.type] || o.type)}</span>` : '—'}</td>
+            </tr>`;
+    }).join('');
+}
+
+// Over each product's latest audit, amounts in the base currency
+function renderStats() {
+    const latest = auditRows(view.audits, true);
+    const gapInBase = ({ o }) => Currency.toBase(Math.abs(o.fair - o.price), o.currency) || 0;
+    const overpriced = latest.filter(row => row.o.type === 'overpriced' && row.o.fair > 0);
+    const deals = latest.filter(row => row.o.type === 'deal' && row.o.fair > 0);
+    const sum = (rows) => rows.reduce((total, row) => total + gapInBase(row), 0);
+
+    document.getElementById('productCount').innerText = latest.length;
+    document.getElementById('overpricedCount').innerText = overpriced.length;
+    document.getElementById('overpricedInfo').innerText = overpriced.length
+        ? `Flagged overpriced · ${Currency.format(sum(overpriced))} above fair`
+        : 'Flagged overpriced';
+    document.getElementById('dealCount').innerText = deals.length;
+    document.getElementById('dealInfo').innerText = deals.length
+        ? `Good deals · ${Currency.format(sum(deals))} below fair`
+        : 'Good deals';
+    document.getElementById('logCount').innerText = view.logs.length;
+}
+
+// =========================================================
+// 3. EXPORT
+// =========================================================
+function auditRecord({ entry, o }) {
+    return {
+        site: entry.site,
+        product_id: entry.productId,
+        name: entry.name,
+        category: entry.category,
+        url: entry.url,
+        time: new Date(o.t).toISOString(),
+        price: o.price,
+        currency: o.currency,
+        fair: o.fair,
+        low: o.low,
+        high: o.high,
+        error: o.error,
+        verdict: o.type,
+        model_version: o.modelVersion,
+        mrp: o.mrp,
+        timer: o.urgency ? o.urgency.timer : null,
+        scarcity: o.urgency ? o.urgency.scarcity : null
+    };
+}
+
+function logRecord(log) {
+    return {
+        ...log,
+        id: LogStore.idOf(log),
+        listing_amount: log.listing ? log.listing.amount : null,
+        listing_currency: log.listing ? log.listing.currency : null,
+        extraction_method: log.extraction ? log.extraction.method : null
+    };
+}
+
+// Text cells starting like a formula get a quote, spreadsheets would run them
+function csvField(value) {
+    if (value === null || value === undefined) return '';
+    let text = Array.isArray(value) ? value.join(';') : typeof value === 'object' ? JSON.stringify(value) : String(value);
+    if (typeof value === 'string' && /^[=+\-@]/.test(text)) text = `'${text}`;
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function toCsv(columns, records) {
+    return [columns.join(','), ...records.map(record => columns.map(c => csvField(record[c])).join(','))].join('\n') + '\n';
+}
+
+function exportJson() {
+    const data = {
+        format: DASHBOARD.EXPORT_FORMAT,
+        version: DASHBOARD.EXPORT_VERSION,
+        exportedAt: new Date().toISOString(),
+        audits: view.audits,
+        trainingLogs: view.logs
+    };
+    download(`fairmarket-export-${today()}.json`, JSON.stringify(data, null, 2), 'application/json');
+}
+
+function download(filename, text, type) {
+    const url = URL.createObjectURL(new Blob([text], { type }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    link.click();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+// =========================================================
+// 4. IMPORT
+// =========================================================
+// RFC 4180: quoted fields may hold commas, quotes ("") and line breaks
+function parseCsv(text) {
+    const rows = [];
+    let row = [], field = '', quoted = false;
+    for (let i = 0; i < text.length; i++) {
+        const c = text[i];
+        if (quoted) {
+            if (c !== '"') field += c;
+            else if (text[i + 1] === '"') field += text[++i];
+            else quoted = false;
+        } else if (c === '"') {
+            quoted = true;
+        } else if (c === ',') {
+            row.push(field);
+            field = '';
+        } else if (c === '\n' || c === '\r') {
+            if (c === '\r' && text[i + 1] === '\n') i++;
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += c;
+        }
+    }
+    if (field || row.length) rows.push([...row, field]);
+
+    const [header, ...body] = rows.filter(r => r.some(f => f !== ''));
+    if (!header) return { columns: [], records: [] };
+    // Undo csvField()'s formula quote
+    const value = (f) => /^'[=+\-@]/.test(f) ? f.substring(1) : f;
+    return { columns: header, records: body.map(r => Object.fromEntries(header.map((c, i) => [c, value(r[i] || '')]))) };
+}
+
+const number = (text) => text === '' ? undefined : Number(text);
+const flag = (text) => text === '' ? undefined : text === 'true';
+
+// Audit CSV rows back into price-history entries, one per product
+function auditsFromCsv(records) {
+    const entries = new Map();
+    for (let r of records) {
+        const key = `${r.site}|${r.product_id}`;
+        if (!entries.has(key)) {
+            entries.set(key, { site: r.site, productId: r.product_id, name: r.name, url: r.url || undefined, category: r.category || undefined, observations: [] });
+        }
+        const timer = flag(r.timer), scarcity = flag(r.scarcity);
+        entries.get(key).observations.push({
+            t: Date.parse(r.time),
+            price: number(r.price),
+            fair: number(r.fair),
+            low: number(r.low),
+            high: number(r.high),
+            currency: r.currency,
+            error: number(r.error),
+            type: r.verdict || undefined,
+            modelVersion: number(r.model_version),
+            mrp: number(r.mrp) || null,
+            urgency: timer === undefined && scarcity === undefined ? undefined : { timer: !!timer, scarcity: !!scarcity }
+        });
+    }
+    return [...entries.values()];
+}
+
+function logsFromCsv(records) {
+    return records.map(r => ({
+        id: r.id || undefined,
+        timestamp: r.timestamp,
+        site: r.site || undefined,
+        product_id: r.product_id || undefined,
+        category: r.category || undefined,
+        type: r.type,
+        price: number(r.price),
+        listing: r.listing_amount ? { amount: Number(r.listing_amount), currency: r.listing_currency } : undefined,
+        extraction: r.extraction_method ? { method: r.extraction_method } : undefined,
+        reconstruction_error: number(r.reconstruction_error),
+        model_version: number(r.model_version),
+        schema_version: number(r.schema_version),
+        features: r.features === '' ? [] : r.features.split(';').map(Number)
+    }));
+}
+
+// { audits, trainingLogs } from an export of either format, by content
+function parseImport(text) {
+    if (/^\s*[{[]/.test(text)) {
+        const data = JSON.parse(text);
+        if (!data || data.format !== DASHBOARD.EXPORT_FORMAT) throw new Error('Not a FairMarket export');
+        if (data.version > DASHBOARD.EXPORT_VERSION) throw new Error(`Export version ${data.version} is newer than this extension`);
+        return { audits: Array.isArray(data.audits) ? data.audits : [], trainingLogs: Array.isArray(data.trainingLogs) ? data.trainingLogs : [] };
+    }
+
+    const { columns, records } = parseCsv(text);
+    if (columns.includes('features') && columns.includes('timestamp')) return { audits: [], trainingLogs: logsFromCsv(records) };
+    if (columns.includes('product_id') && columns.includes('time')) return { audits: auditsFromCsv(records), trainingLogs: [] };
+    throw new Error('Not a FairMarket audit or training log CSV');
+}
+
+// Per category, against the price ceiling of the schema it would train
+// (the cached model's, else the bundled one's), like content.js does
+async function importLogs(logs) {
+    const result = { added: 0, replaced: 0, rejected: [] };
+    const byCategory = new Map();
+    for (let log of logs) {
+        const category = (log && log.category) || MODEL_SYNC.DEFAULT_CATEGORY;
+        if (!byCategory.has(category)) byCategory.set(category, []);
+        byCategory.get(category).push(log);
+    }
+
+    for (let [category, entries] of byCategory) {
+        let schema = null;
+        if (/^[a-z_]+$/.test(category)) {
+            try {
+                const cached = await ModelSync.readCache(category);
+                schema = (cached && cached.weights.manifest ? cached : await ModelSync.readBundled(category)).weights.manifest.schema;
+            } catch (e) {
+                console.warn(`⚠️ No model for imported ${category} logs: ${e.message}`);
+            }
+        }
+        if (!schema) {
+            result.rejected.push(...entries.map(() => `unknown category ${category}`));
+            continue;
+        }
+
+        const added = await LogStore.addAll(entries, { maxPrice: schema.features[schema.price_index].max });
+        result.added += added.added;
+        result.replaced += added.replaced;
+        result.rejected.push(...added.rejected);
+    }
+    return result;
+}
+
+async function importFile(file) {
+    showStatus(`Importing ${file.name}…`);
+    try {
+        const { audits, trainingLogs } = parseImport(await file.text());
+        const history = await PriceHistory.importEntries(audits);
+        const logs = trainingLogs.length ? await importLogs(trainingLogs) : { added: 0, replaced: 0, rejected: [] };
+
+        const rejected = logs.rejected.length
+            ? ` ${logs.rejected.length} skipped (${[...new Set(logs.rejected)].slice(0, 3).join('; ')}).`
+            : '';
+        showStatus(`✅ ${history.observations} audits of ${history.products} new products, ${logs.added + logs.replaced} training logs imported.${rejected}`, 'green');
+    } catch (e) {
+        console.error(e);
+        showStatus(`❌ Import failed: ${e.message}`, 'red');
+    }
+    load();
+}
+
+// =========================================================
+// 5. WIPE
+// =========================================================
+async function wipe() {
+    const ok = confirm('Delete the audit history, pending training logs and everything else FairMarket AI stored in this browser?\n\n' +
+        'Your privacy budget is kept (wiping does not reset it), as are your settings and downloaded models. Export first if you need a copy.');
+    if (!ok) return;
+
+    try {
+        // Through the service worker, so a tab logging right now can't bring them back
+        await LogStore.clear();
+        await PriceHistory.clear();
+        const data = await chrome.storage.local.get(null);
+        const remove = Object.keys(data).filter(k =>
+            !DASHBOARD.KEEP_ON_WIPE.includes(k) && !DASHBOARD.KEEP_PREFIXES.some(prefix => k.startsWith(prefix)));
+        await chrome.storage.local.remove(remove);
+        showStatus('🗑️ Local data wiped', 'green');
+    } catch (e) {
+        console.error(e);
+        showStatus(`❌ Wipe failed: ${e.message}`, 'red');
+    }
+    load();
+}
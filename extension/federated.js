@@ -0,0 +1,378 @@
+// =========================================================
+// FEDERATED ROUND (Shared by popup.js and background.js)
+// =========================================================
+// Local training + upload of one federated round. The popup runs it on
+// demand from #trainBtn, the service worker runs it on a chrome.alarms
+// schedule. Held-out logs (model_eval.js) are never trained on or uploaded.
+// Requires settings.js, model_manifest.js, model_sync.js, privacy.js, log_store.js and model_eval.js to be loaded first.
+const FEDERATED_DEFAULTS = {
+    AUTO_ENABLED: true,
+    INTERVAL_MINUTES: 360,
+    MIN_LOGS: 10,
+    BASE_BACKOFF_MINUTES: 15,
+    MAX_BACKOFF_MINUTES: 24 * 60,
+    LOCK_TIMEOUT_MS: 5 * 60 * 1000
+};
+
+// =========================================================
+// 1. MATH ENGINE: MINIBATCH BACKPROPAGATION (Pure JS)
+// =========================================================
+// The legacy Tiny-VAE layout (MODEL_MANIFEST.LEGACY_NETWORKS):
+//   encoder = [W1, b1, W2, b2, W_mean, b_mean, W_logvar, b_logvar]
+//   decoder = [W1, b1, W2, b2, W_out, b_out]
+// Models whose manifest describes anything else are not trained here.
+// Loss matches backend/model.py: BCE (sum) + KL divergence.
+const TRAINING_CONFIG = {
+    EPOCHS: 5,
+    BATCH_SIZE: 8,
+    LEARNING_RATE: 0.01,
+    KL_WEIGHT: 1.0
+};
+
+const ENCODER_LAYERS = [
+    { w: 0, b: 1, activation: 'relu' },
+    { w: 2, b: 3, activation: 'relu' }
+];
+const DECODER_LAYERS = [
+    { w: 0, b: 1, activation: 'relu' },
+    { w: 2, b: 3, activation: 'relu' },
+    { w: 4, b: 5, activation: 'sigmoid' }
+];
+
+const TrainOps = {
+    // Dense layer that also returns the pre-activation (needed for ReLU backprop)
+    dense: (input, weights, bias, activation) => {
+        let pre = [], out = [];
+        for (let j = 0; j < weights[0].length; j++) {
+            let sum = bias ? bias[j] : 0;
+            for (let i = 0; i < input.length; i++) sum += input[i] * weights[i][j];
+            pre.push(sum);
+            if (activation === 'relu') out.push(Math.max(0, sum));
+            else if (activation === 'sigmoid') out.push(1 / (1 + Math.exp(-sum)));
+            else out.push(sum);
+        }
+        return { pre, out };
+    },
+
+    // Accumulates dL/dW, dL/db into grads and returns dL/dinput.
+    // `delta` is dL/d(pre-activation) of this layer.
+    denseBackward: (input, weights, delta, gradW, gradB) => {
+        let gradInput = new Array(input.length).fill(0);
+        for (let i = 0; i < input.length; i++) {
+            for (let j = 0; j < delta.length; j++) {
+                gradW[i][j] += input[i] * delta[j];
+                gradInput[i] += weights[i][j] * delta[j];
+            }
+        }
+        for (let j = 0; j < delta.length; j++) gradB[j] += delta[j];
+        return gradInput;
+    },
+
+    zerosLike: (arr) => Array.isArray(arr) ? arr.map(TrainOps.zerosLike) : 0,
+
+    gaussian: () => {
+        // Box-Muller
+        let u = 0, v = 0;
+        while (u === 0) u = Math.random();
+        while (v === 0) v = Math.random();
+        return Math.sqrt(-2.0 * Math.log(u)) * Math.cos(2.0 * Math.PI * v);
+    }
+};
+
+// One sample: forward pass, loss, and gradient accumulation into `grads`
+function backpropSample(weights, grads, x, klWeight) {
+    const enc = weights.encoder, dec = weights.decoder;
+    const EPS = 1e-7;
+
+    // --- Forward: Encoder ---
+    let encActs = [x];
+    let encPre = [];
+    for (let layer of ENCODER_LAYERS) {
+        const r = TrainOps.dense(encActs[encActs.length - 1], enc[layer.w], enc[layer.b], layer.activation);
+        encPre.push(r.pre);
+        encActs.push(r.out);
+    }
+    const h = encActs[encActs.length - 1];
+    const mu = TrainOps.dense(h, enc[4], enc[5], 'linear').out;
+    const logvar = TrainOps.dense(h, enc[6], enc[7], 'linear').out;
+
+    // --- Reparameterization: z = mu + eps * std ---
+    const eps = mu.map(() => TrainOps.gaussian());
+    const std = logvar.map(lv => Math.exp(0.5 * lv));
+    const z = mu.map((m, k) => m + eps[k] * std[k]);
+
+    // --- Forward: Decoder ---
+    let decActs = [z];
+    let decPre = [];
+    for (let layer of DECODER_LAYERS) {
+        const r = TrainOps.dense(decActs[decActs.length - 1], dec[layer.w], dec[layer.b], layer.activation);
+        decPre.push(r.pre);
+        decActs.push(r.out);
+    }
+    const recon = decActs[decActs.length - 1];
+
+    // --- Loss ---
+    let bce = 0;
+    for (let k = 0; k < x.length; k++) {
+        const y = Math.min(Math.max(recon[k], EPS), 1 - EPS);
+        bce -= x[k] * Math.log(y) + (1 - x[k]) * Math.log(1 - y);
+    }
+    let kld = 0;
+    for (let k = 0; k < mu.length; k++) {
+        kld += -0.5 * (1 + logvar[k] - mu[k] * mu[k] - Math.exp(logvar[k]));
+    }
+
+    // --- Backward: Decoder ---
+    // Sigmoid + BCE collapses to (recon - x)
+    let delta = recon.map((y, k) => y - x[k]);
+    for (let l = DECODER_LAYERS.length - 1; l >= 0; l--) {
+        const layer = DECODER_LAYERS[l];
+        if (layer.activation === 'relu') {
+            delta = delta.map((d, j) => decPre[l][j] > 0 ? d : 0);
+        }
+        delta = TrainOps.denseBackward(decActs[l], dec[layer.w], delta, grads.decoder[layer.w], grads.decoder[layer.b]);
+    }
+    const gradZ = delta;
+
+    // --- Backward: Latent heads (reconstruction path + KL term) ---
+    const gradMu = mu.map((m, k) => gradZ[k] + klWeight * m);
+    const gradLogvar = logvar.map((lv, k) =>
+        gradZ[k] * eps[k] * 0.5 * std[k] + klWeight * 0.5 * (Math.exp(lv) - 1)
+    );
+
+    let gradH = TrainOps.denseBackward(h, enc[4], gradMu, grads.encoder[4], grads.encoder[5]);
+    const gradHLogvar = TrainOps.denseBackward(h, enc[6], gradLogvar, grads.encoder[6], grads.encoder[7]);
+    gradH = gradH.map((g, i) => g + gradHLogvar[i]);
+
+    // --- Backward: Encoder ---
+    delta = gradH;
+    for (let l = ENCODER_LAYERS.length - 1; l >= 0; l--) {
+        const layer = ENCODER_LAYERS[l];
+        delta = delta.map((d, j) => encPre[l][j] > 0 ? d : 0);
+        delta = TrainOps.denseBackward(encActs[l], enc[layer.w], delta, grads.encoder[layer.w], grads.encoder[layer.b]);
+    }
+
+    return bce + klWeight * kld;
+}
+
+function applyGradients(params, grads, scale) {
+    for (let i = 0; i < params.length; i++) {
+        if (Array.isArray(params[i])) applyGradients(params[i], grads[i], scale);
+        else params[i] -= scale * grads[i];
+    }
+}
+
+function trainOnLogs(currentWeights, logs, config = TRAINING_CONFIG) {
+    // Deep copy weights to avoid mutating original
+    let weights = {
+        encoder: JSON.parse(JSON.stringify(currentWeights.encoder)),
+        decoder: JSON.parse(JSON.stringify(currentWeights.decoder))
+    };
+
+    // Logs recorded under an older feature schema have a different width
+    const inputDim = weights.encoder[0].length;
+    const samples = logs.map(log => log.features).filter(f => Array.isArray(f) && f.length === inputDim);
+    if (samples.length === 0) return weights.decoder;
+
+    for (let epoch = 0; epoch < config.EPOCHS; epoch++) {
+        // Shuffle (Fisher-Yates) so minibatches differ every epoch
+        let order = samples.map((_, i) => i);
+        for (let i = order.length - 1; i > 0; i--) {
+            const j = Math.floor(Math.random() * (i + 1));
+            [order[i], order[j]] = [order[j], order[i]];
+        }
+
+        let epochLoss = 0;
+        for (let start = 0; start < order.length; start += config.BATCH_SIZE) {
+            const batch = order.slice(start, start + config.BATCH_SIZE);
+            let grads = {
+                encoder: TrainOps.zerosLike(weights.encoder),
+                decoder: TrainOps.zerosLike(weights.decoder)
+            };
+
+            for (let idx of batch) {
+                epochLoss += backpropSample(weights, grads, samples[idx], config.KL_WEIGHT);
+            }
+
+            // Average over the batch so the step size doesn't depend on batch length
+            const scale = config.LEARNING_RATE / batch.length;
+            applyGradients(weights.encoder, grads.encoder, scale);
+            applyGradients(weights.decoder, grads.decoder, scale);
+        }
+
+        console.log(`📚 Epoch ${epoch + 1}/${config.EPOCHS} | Loss: ${(epochLoss / samples.length).toFixed(4)}`);
+    }
+
+    // The server only aggregates the decoder (generative part)
+    return weights.decoder;
+}
+
+// =========================================================
+// 2. SETTINGS & ROUND STATUS
+// =========================================================
+const Federated = {
+    async getSettings() {
+        const data = await chrome.storage.local.get({ federatedSettings: {} });
+        return { ...FEDERATED_DEFAULTS, ...data.federatedSettings };
+    },
+
+    async saveSettings(changes) {
+        const current = await this.getSettings();
+        await chrome.storage.local.set({ federatedSettings: { ...current, ...changes } });
+    },
+
+    // { lastRoundAt, lastAttemptAt, lastResult, lastError, failures, nextRoundAt, runningSince }
+    async getStatus() {
+        const data = await chrome.storage.local.get({ federatedStatus: { failures: 0 } });
+        return data.federatedStatus;
+    },
+
+    async setStatus(changes) {
+        const current = await this.getStatus();
+        const next = { ...current, ...changes };
+        await chrome.storage.local.set({ federatedStatus: next });
+        return next;
+    },
+
+    async isServerReachable(timeoutMs = 5000) {
+        return (await Settings.checkServer(await Settings.serverUrl(), timeoutMs)).ok;
+    },
+
+    // Exponential backoff: 15m, 30m, 1h, ... capped at MAX_BACKOFF_MINUTES
+    backoffMinutes(failures, settings) {
+        return Math.min(settings.BASE_BACKOFF_MINUTES * Math.pow(2, Math.max(0, failures - 1)), settings.MAX_BACKOFF_MINUTES);
+    },
+
+    // =========================================================
+    // 3. ONE FEDERATED ROUND
+    // =========================================================
+    // Logs are grouped by product category; every category with pending
+    // logs trains and uploads its own model. Logs without a category come
+    // from before category support and are laptop logs.
+    groupByCategory(logs) {
+        const groups = {};
+        for (let log of logs) {
+            const category = log.category || MODEL_SYNC.DEFAULT_CATEGORY;
+            (groups[category] = groups[category] || []).push(log);
+        }
+        return groups;
+    },
+
+    // Pending logs minus the held-out slice new models are checked on
+    async trainingLogs() {
+        return (await LogStore.list()).filter(log => !ModelEvaluation.isHeldOut(log));
+    },
+
+    // Trains on one category's logs and uploads the decoder. Throws on
+    // failure, returns null when this version can't train the model or
+    // this browser declined the server's current one.
+    async uploadCategory(category, logs, privacy, onProgress) {
+        // A. Load Current Weights (from Server or Cache)
+        onProgress(`Training Local ${category} Model...`);
+        const model = await ModelSync.getGlobalModel({ category });
+        if (model.weights.manifest && !ModelManifest.isTrainable(model.weights.manifest)) {
+            console.warn(`⚠️ ${category} model v${model.version} has an architecture this version can't train, logs kept`);
+            return null;
+        }
+        if (await ModelEvaluation.isDeclined(category, model)) {
+            // The server would turn an update of the kept model away as stale
+            console.warn(`⚠️ Kept ${category} model v${model.version} after declining a newer one, logs kept`);
+            return null;
+        }
+
+        // B. Calculate Gradients (The "Math" Step)
+        let updatedDecoder = trainOnLogs(model.weights, logs);
+
+        // C. Privatize (optional): clip the delta and add Gaussian noise
+        if (privacy.ENABLED) {
+            if (!(await Privacy.getBudget()).canUpload) {
+                throw new Error('Privacy budget spent. Upload refused.');
+            }
+            updatedDecoder = Privacy.privatizeDecoder(model.weights.decoder, updatedDecoder, privacy);
+            // Charge the budget before the data leaves the device
+            await Privacy.recordRound(privacy);
+        }
+
+        // D. Send Update to Server
+        onProgress(`Sending ${category} Update to Server...`);
+        const response = await fetch(`${await Settings.serverUrl()}/send-update`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ category, decoder: updatedDecoder, base_version: model.version })
+        });
+        const resData = await response.json();
+
+        if (resData.status === 'stale') {
+            // Trained on an old model: pull the new one, keep the logs for the next round
+            await ModelSync.getGlobalModel({ category, force: true });
+            throw new Error(`${category} model moved to v${resData.current_version}, please retry.`);
+        }
+        if (resData.status !== 'success' && resData.status !== 'accepted') {
+            throw new Error(resData.message);
+        }
+        return resData;
+    },
+
+    // Returns { status, message }. status is 'success', 'accepted' or
+    // 'skipped'; anything that should be retried throws instead.
+    async runRound({ onProgress = () => {} } = {}) {
+        const status = await this.getStatus();
+        if (status.runningSince && Date.now() - status.runningSince < FEDERATED_DEFAULTS.LOCK_TIMEOUT_MS) {
+            return { status: 'skipped', message: 'A round is already running.' };
+        }
+
+        // The user opted out of contributing on the options page
+        if (!(await Settings.get()).FEDERATED_ENABLED) {
+            return { status: 'skipped', message: 'Federated contribution is turned off in Options.' };
+        }
+
+        // Check logs first. A decoder fitted to a handful of logs gives them
+        // away, so a category is only trained once it has MIN_LOGS (manual
+        // rounds from the popup as well as scheduled ones)
+        const logs = await this.trainingLogs();
+        if (logs.length === 0) {
+            return { status: 'skipped', message: 'No data to train on!' };
+        }
+        const { MIN_LOGS } = await this.getSettings();
+        const ready = Object.entries(this.groupByCategory(logs)).filter(([, categoryLogs]) => categoryLogs.length >= MIN_LOGS);
+        if (!ready.length) {
+            return { status: 'skipped', message: `Not enough data yet: a round needs ${MIN_LOGS} logs of one product category.` };
+        }
+
+        // Refuse early if DP mode is on and another round would exceed the budget
+        const privacy = await Privacy.getSettings();
+        if (privacy.ENABLED && !(await Privacy.getBudget()).canUpload) {
+            return { status: 'skipped', message: 'Privacy budget spent. Upload refused.' };
+        }
+
+        await this.setStatus({ runningSince: Date.now(), lastAttemptAt: Date.now() });
+        const uploaded = [];
+        let result = null;
+
+        try {
+            // Without the key every download is rejected, so any update would be trained on a stale model
+            const setup = await ModelSync.setupProblem();
+            if (setup) throw new Error(setup);
+
+            for (let [category, categoryLogs] of ready) {
+                const categoryResult = await this.uploadCategory(category, categoryLogs, privacy, onProgress);
+                if (!categoryResult) continue;
+                result = categoryResult;
+                uploaded.push(...categoryLogs.map(log => LogStore.idOf(log)));
+            }
+            if (!result) return { status: 'skipped', message: 'No model with pending logs can be trained here (unsupported architecture or declined update).' };
+
+            await this.setStatus({ lastRoundAt: Date.now(), lastResult: result.status, lastError: null, failures: 0 });
+            return { status: result.status, message: result.message };
+
+        } catch (e) {
+            const current = await this.getStatus();
+            await this.setStatus({ lastError: e.message, failures: (current.failures || 0) + 1 });
+            throw e;
+        } finally {
+            // E. Clear the logs that made it into an update (tabs may have appended more meanwhile)
+            if (uploaded.length) await LogStore.remove(uploaded);
+            await this.setStatus({ runningSince: null });
+        }
+    }
+};
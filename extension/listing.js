@@ -0,0 +1,253 @@
+// =========================================================
+// LISTING PAGE BADGES (Closed Shadow DOM, used by content.js)
+// =========================================================
+// On search results and category listings every product card gets a small
+// verdict badge, scored from what the card shows (see readCards() and
+// scoreProducts() in pipeline.js). Cards added later by infinite scroll are
+// picked up by a debounced MutationObserver. A toolbar sorts the scored
+// cards by the gap between price and fair value, or hides the overpriced
+// ones; the choice is remembered across pages. Badges and toolbar are
+// styled like the alert (constructed stylesheets, strings from _locales).
+// Requires pipeline.js and alert_widget.js.
+const LISTING = {
+    STORAGE_KEY: 'listingView',
+    TOOLBAR_ID: 'fairmarket-listing',
+    SCAN_DEBOUNCE_MS: 800,
+    SORTS: ['page', 'deals', 'overpriced']
+};
+
+const BADGE_CSS = `
+    :host { all: initial; display: inline-block; margin: 4px 0; }
+    .badge {
+        display: inline-block; padding: 2px 8px; border-radius: 10px; white-space: nowrap;
+        font: 600 11px/1.5 system-ui, 'Segoe UI', sans-serif; color: white; cursor: default;
+    }
+    .badge.overpriced { background: ${VERDICT_COLORS.overpriced}; }
+    .badge.deal { background: ${VERDICT_COLORS.deal}; }
+    .badge.fair { background: #218c53; }
+    .badge.learning, .badge.uncertain { background: #dfe6e9; color: #2d3436; }
+    .sr-only { position: absolute; width: 1px; height: 1px; overflow: hidden; clip: rect(0 0 0 0); white-space: nowrap; }
+`;
+
+const TOOLBAR_CSS = `
+    :host { all: initial; }
+    .bar {
+        --bg: #ffffff; --fg: #333333; --border: #e9ecef;
+        position: fixed; left: 16px; bottom: 16px; z-index: 2147483647;
+        display: flex; align-items: center; gap: 10px; padding: 8px 12px; border-radius: 10px;
+        background: var(--bg); color: var(--fg); border: 1px solid var(--border); box-shadow: 0 4px 16px rgba(0,0,0,0.25);
+        font-family: system-ui, 'Segoe UI', sans-serif; font-size: 12px;
+    }
+    @media (prefers-color-scheme: dark) {
+        .bar { --bg: #1e272e; --fg: #dfe6e9; --border: #3d4548; }
+    }
+    label { display: flex; align-items: center; gap: 4px; }
+    select { font-size: 12px; background: var(--bg); color: var(--fg); border: 1px solid var(--border); border-radius: 4px; }
+    button { background: transparent; border: none; color: var(--fg); font-size: 16px; cursor: pointer; padding: 0 4px; }
+    button:focus-visible, select:focus-visible, input:focus-visible { outline: 2px solid #0984e3; outline-offset: 1px; }
+`;
+
+const ListingBadges = {
+    site: null,
+    observer: null,
+    timer: null,
+    scanning: false,
+    queued: false,
+    seen: new WeakSet(),    // card elements already looked at
+    cards: [],              // { element, host, type, gap, order } per badged card
+    view: { sort: 'page', hideOverpriced: false },
+    sorted: false,          // cards are out of page order
+    sheets: {},
+    toolbar: null,
+    toolbarRoot: null,
+    dismissed: false,       // toolbar closed on this page
+
+    // =========================================================
+    // 1. LIFECYCLE
+    // =========================================================
+    async start(site) {
+        if (this.site === site && this.observer) {
+            this.schedule();
+            return;
+        }
+        this.stop();
+        this.site = site;
+
+        // Our own badges and re-sorting trigger this too; those scans find no new cards
+        this.observer = new MutationObserver(() => this.schedule());
+        this.observer.observe(document.body, { childList: true, subtree: true });
+
+        const data = await chrome.storage.local.get({ [LISTING.STORAGE_KEY]: this.view });
+        this.view = { ...this.view, ...data[LISTING.STORAGE_KEY] };
+        await this.scan();
+    },
+
+    // Left the listing (client-side navigation) or badges were switched off
+    stop() {
+        if (!this.site) return;
+        if (this.observer) this.observer.disconnect();
+        clearTimeout(this.timer);
+        this.resetView();
+        for (let card of this.cards) card.host.remove();
+        if (this.toolbar) this.toolbar.remove();
+
+        this.site = null;
+        this.observer = null;
+        this.toolbar = null;
+        this.toolbarRoot = null;
+        this.dismissed = false;
+        this.cards = [];
+        this.seen = new WeakSet();
+    },
+
+    schedule() {
+        clearTimeout(this.timer);
+        this.timer = setTimeout(() => this.scan(), LISTING.SCAN_DEBOUNCE_MS);
+    },
+
+    // Scores the cards that appeared since the last scan, all in one batch
+    async scan() {
+        if (this.scanning) {
+            this.queued = true;
+            return;
+        }
+        this.scanning = true;
+        try {
+            const fresh = readCards(this.site).filter(card => !this.seen.has(card.element));
+            if (!fresh.length) return;
+            // Cards of unsupported categories aren't retried either
+            fresh.forEach(card => this.seen.add(card.element));
+
+            const products = await extractCardProducts(this.site, fresh);
+            if (!products.length || !this.site) return;
+
+            const scores = scoreProducts(products);
+            products.forEach((product, i) => this.badge(product, scores[i]));
+            console.log(`🏷️ ${products.length} of ${fresh.length} new listing cards scored`);
+
+            this.renderToolbar();
+            this.applyView();
+        } catch (e) {
+            console.warn("⚠️ Listing badges failed:", e.message);
+        } finally {
+            this.scanning = false;
+            if (this.queued) {
+                this.queued = false;
+                this.schedule();
+            }
+        }
+    },
+
+    sheet(css) {
+        if (!this.sheets[css]) {
+            this.sheets[css] = new CSSStyleSheet();
+            this.sheets[css].replaceSync(css);
+        }
+        return this.sheets[css];
+    },
+
+    // =========================================================
+    // 2. BADGES
+    // =========================================================
+    badge(product, score) {
+        const { card, listing } = product;
+        const price = Currency.toBase(listing.amount, listing.currency);
+        const gap = score.dist.median > 0 ? (price - score.dist.median) / score.dist.median : 0;
+        const money = (amount) => Currency.format(Currency.fromBase(amount, listing.currency), listing.currency);
+
+        const percent = `${Math.round(Math.abs(gap) * 100)}%`;
+        const label = ['overpriced', 'deal'].includes(score.type) ? msg(`badge_${score.type}`, [percent]) : msg(`badge_${score.type}`);
+        const detail = msg('badgeDetail', [money(score.dist.median), money(score.dist.low), money(score.dist.high)]);
+
+        const host = document.createElement('span');
+        const root = host.attachShadow({ mode: 'closed' });
+        root.adoptedStyleSheets = [this.sheet(BADGE_CSS)];
+        root.innerHTML = `<span class="badge ${score.type}" title="${escapeHtml(detail)}">${VERDICT_ICONS[score.type]} ${escapeHtml(label)}<span class="sr-only">. ${escapeHtml(detail)}</span></span>`;
+
+        // Next to the price, but outside the card's link so it isn't a click target
+        const link = card.priceElement.closest('a');
+        const anchor = link && link !== card.element && card.element.contains(link) ? link : card.priceElement;
+        anchor.insertAdjacentElement('afterend', host);
+
+        this.cards.push({ element: card.element, host, type: score.type, gap, order: this.cards.length });
+    },
+
+    // =========================================================
+    // 3. SORT & FILTER TOOLBAR
+    // =========================================================
+    renderToolbar() {
+        if (this.dismissed) return;
+        if (!this.toolbar || !this.toolbar.isConnected) {
+            this.toolbar = document.createElement('div');
+            this.toolbar.id = LISTING.TOOLBAR_ID;
+            const root = this.toolbar.attachShadow({ mode: 'closed' });
+            root.adoptedStyleSheets = [this.sheet(TOOLBAR_CSS)];
+            root.innerHTML = `
+                <div class="bar" role="region" aria-label="${escapeHtml(msg('listingToolbar'))}">
+                    <span class="summary" aria-live="polite"></span>
+                    <label>${escapeHtml(msg('listingSort'))}
+                        <select class="sort">${LISTING.SORTS.map(sort =>
+                            `<option value="${sort}">${escapeHtml(msg(`listingSort_${sort}`))}</option>`).join('')}</select>
+                    </label>
+                    <label><input type="checkbox" class="hide"> ${escapeHtml(msg('listingHideOverpriced'))}</label>
+                    <button type="button" class="close" aria-label="${escapeHtml(msg('dismiss'))}" title="${escapeHtml(msg('dismiss'))}">×</button>
+                </div>`;
+
+            const sort = root.querySelector('.sort');
+            const hide = root.querySelector('.hide');
+            sort.value = this.view.sort;
+            hide.checked = this.view.hideOverpriced;
+            sort.addEventListener('change', () => this.setView({ sort: sort.value }));
+            hide.addEventListener('change', () => this.setView({ hideOverpriced: hide.checked }));
+            // Dismissing puts the page back as it was, the badges stay
+            root.querySelector('.close').addEventListener('click', () => {
+                this.dismissed = true;
+                this.resetView();
+                this.toolbar.remove();
+            });
+
+            this.toolbarRoot = root;
+            document.body.appendChild(this.toolbar);
+        }
+        this.toolbarRoot.querySelector('.summary').textContent = `🛡️ ${msg('listingSummary', [String(this.cards.length)])}`;
+    },
+
+    async setView(changes) {
+        this.view = { ...this.view, ...changes };
+        await chrome.storage.local.set({ [LISTING.STORAGE_KEY]: this.view });
+        this.applyView();
+    },
+
+    resetView() {
+        this.applyView({ sort: 'page', hideOverpriced: false });
+    },
+
+    applyView(view = this.view) {
+        const cards = this.cards.filter(card => card.element.isConnected);
+
+        for (let card of cards) {
+            const hide = view.hideOverpriced && card.type === 'overpriced';
+            if (hide && !card.hidden) card.element.style.setProperty('display', 'none', 'important');
+            if (!hide && card.hidden) card.element.style.removeProperty('display');
+            card.hidden = hide;
+        }
+
+        if (view.sort === 'page' && !this.sorted) return;
+        const compare = {
+            page: (a, b) => a.order - b.order,
+            deals: (a, b) => a.gap - b.gap,
+            overpriced: (a, b) => b.gap - a.gap
+        }[view.sort] || ((a, b) => a.order - b.order);
+
+        // The scored cards trade places; ads and unscored cards stay put
+        const slots = cards.slice()
+            .sort((a, b) => a.element.compareDocumentPosition(b.element) & Node.DOCUMENT_POSITION_FOLLOWING ? -1 : 1)
+            .map(card => {
+                const marker = document.createComment('fairmarket');
+                card.element.before(marker);
+                return marker;
+            });
+        cards.slice().sort(compare).forEach((card, i) => slots[i].replaceWith(card.element));
+        this.sorted = view.sort !== 'page';
+    }
+};
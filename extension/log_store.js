@@ -0,0 +1,213 @@
+// =========================================================
+// TRAINING LOG STORE (Shared by content.js, popup.js, federated.js and background.js)
+// =========================================================
+// The observations federated rounds train on, kept in
+// chrome.storage.local.trainingLogs. add() keeps the list clean:
+//   - one entry per product and price: reloading a page replaces the
+//     earlier entry instead of appending a copy
+//   - entries older than RETENTION_DAYS go, and only the newest
+//     MAX_ENTRIES are kept
+//   - implausible prices (zero, below MIN_PRICE, above the schema's price
+//     max) and outliers are rejected before they are stored
+// All writes run in the service worker, one after another; other contexts
+// message it, so two tabs logging at once can't overwrite each other.
+// dashboard.html imports exported entries through addAll() (same checks)
+// and wipes the store with clear().
+// Requires model_sync.js.
+const LOG_STORE = {
+    STORAGE_KEY: 'trainingLogs',
+    MESSAGE: 'logStore',
+    RETENTION_DAYS: 30,
+    MAX_ENTRIES: 500,
+    // Base-currency floor: anything cheaper is an EMI, a coupon or a parse artifact
+    MIN_PRICE: 100,
+    // Same product, but more than this factor away from its logged prices
+    PRODUCT_OUTLIER_RATIO: 3,
+    // Robust z-score of log(price) against the category's logged prices,
+    // once the category has OUTLIER_MIN_SAMPLES entries
+    CATEGORY_OUTLIER_Z: 4,
+    OUTLIER_MIN_SAMPLES: 10
+};
+
+const LogStore = {
+    isWriter: false,    // true in the service worker (see serve())
+    queue: Promise.resolve(),
+
+    // =========================================================
+    // 1. READING (any context)
+    // =========================================================
+    // Entries from before the store had IDs are addressed by category + time
+    idOf(log) {
+        return log.id || `${log.category || MODEL_SYNC.DEFAULT_CATEGORY}|${log.timestamp}`;
+    },
+
+    // Audits and corrections of the same product and price are separate entries
+    dedupeKey(log) {
+        if (!log.product_id || !(log.price > 0)) return null;
+        const kind = log.type === 'USER_CORRECTION' ? 'correction' : 'audit';
+        return `${kind}|${log.site}|${log.product_id}|${Math.round(log.price)}`;
+    },
+
+    isExpired(log, now = Date.now()) {
+        return now - Date.parse(log.timestamp) > LOG_STORE.RETENTION_DAYS * 24 * 60 * 60 * 1000;
+    },
+
+    async list() {
+        const data = await chrome.storage.local.get({ [LOG_STORE.STORAGE_KEY]: [] });
+        return data[LOG_STORE.STORAGE_KEY].filter(log => !this.isExpired(log));
+    },
+
+    async count() {
+        return (await this.list()).length;
+    },
+
+    // =========================================================
+    // 2. VALIDATION
+    // =========================================================
+    median(values) {
+        const sorted = values.slice().sort((a, b) => a - b);
+        const mid = Math.floor(sorted.length / 2);
+        return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+    },
+
+    // Reason the entry must not be stored, or null. limits: { maxPrice }
+    rejectionReason(entry, logs, limits = {}) {
+        if (!Array.isArray(entry.features) || !entry.features.every(v => Number.isFinite(v) && v >= 0 && v <= 1)) {
+            return 'feature vector is not normalized';
+        }
+        if (entry.price === undefined) return null;   // nothing more to check without a price
+
+        const price = entry.price;
+        if (!Number.isFinite(price) || price <= 0) return 'price is zero or missing';
+        if (price < LOG_STORE.MIN_PRICE) return `price ${price} below plausible minimum ${LOG_STORE.MIN_PRICE}`;
+        if (limits.maxPrice && price > limits.maxPrice) return `price ${price} above schema maximum ${limits.maxPrice}`;
+
+        // Corrections state a price the user saw, don't second-guess them
+        if (entry.type === 'USER_CORRECTION') return null;
+
+        const sameProduct = logs.filter(log => log.site === entry.site && log.product_id && log.product_id === entry.product_id && log.price > 0);
+        if (sameProduct.length) {
+            const typical = this.median(sameProduct.map(log => log.price));
+            const ratio = Math.max(price / typical, typical / price);
+            if (ratio > LOG_STORE.PRODUCT_OUTLIER_RATIO) return `price ${price} is ${ratio.toFixed(1)}x this product's logged ${typical}`;
+        }
+
+        const sameCategory = logs.filter(log => log.category === entry.category && log.price > 0).map(log => Math.log(log.price));
+        if (sameCategory.length >= LOG_STORE.OUTLIER_MIN_SAMPLES) {
+            const center = this.median(sameCategory);
+            const mad = this.median(sameCategory.map(v => Math.abs(v - center))) * 1.4826;
+            const z = mad > 0 ? Math.abs(Math.log(price) - center) / mad : 0;
+            if (z > LOG_STORE.CATEGORY_OUTLIER_Z) return `price ${price} is an outlier for ${entry.category} (z=${z.toFixed(1)})`;
+        }
+        return null;
+    },
+
+    // =========================================================
+    // 3. WRITING (serialized in the service worker)
+    // =========================================================
+    // Returns { status: 'added' | 'replaced' | 'rejected', id?, reason? }
+    add(entry, limits = {}) {
+        return this.write('add', [entry, limits]);
+    },
+
+    // Returns { added, replaced, rejected: [reason] }
+    addAll(entries, limits = {}) {
+        return this.write('addAll', [entries, limits]);
+    },
+
+    // Returns how many entries were removed
+    remove(ids) {
+        return this.write('remove', [ids]);
+    },
+
+    clear() {
+        return this.write('clear', []);
+    },
+
+    async write(op, args) {
+        if (this.isWriter) return this.enqueue(op, args);
+        const response = await chrome.runtime.sendMessage({ type: LOG_STORE.MESSAGE, op, args });
+        if (!response || response.error) throw new Error(response ? response.error : 'Log store unavailable');
+        return response.result;
+    },
+
+    enqueue(op, args) {
+        const run = this.queue.then(() => this.ops[op].apply(this, args));
+        this.queue = run.catch(() => {});
+        return run;
+    },
+
+    // Drops expired entries and trims to MAX_ENTRIES (oldest first)
+    prune(logs) {
+        const now = Date.now();
+        return logs.filter(log => !this.isExpired(log, now)).slice(-LOG_STORE.MAX_ENTRIES);
+    },
+
+    // logs plus the entry, minus the earlier copy it replaces:
+    // { logs, status: 'added' | 'replaced', id }
+    insert(logs, entry) {
+        const key = this.dedupeKey(entry);
+        const kept = logs.filter(log => !(entry.id && log.id === entry.id) && (!key || this.dedupeKey(log) !== key));
+        const stored = { ...entry, id: entry.id || crypto.randomUUID() };
+        kept.push(stored);
+        return { logs: kept, status: kept.length === logs.length ? 'replaced' : 'added', id: stored.id };
+    },
+
+    ops: {
+        async add(entry, limits) {
+            const logs = await this.list();
+            const reason = this.rejectionReason(entry, logs, limits);
+            if (reason) return { status: 'rejected', reason };
+
+            const { logs: kept, status, id } = this.insert(logs, entry);
+            await chrome.storage.local.set({ [LOG_STORE.STORAGE_KEY]: this.prune(kept) });
+            return { status, id };
+        },
+
+        // Imports: one write for all entries, each checked against the ones before it
+        async addAll(entries, limits) {
+            let logs = await this.list();
+            const result = { added: 0, replaced: 0, rejected: [] };
+            for (let entry of entries) {
+                const reason = !entry || isNaN(Date.parse(entry.timestamp)) ? 'no valid timestamp'
+                    : this.isExpired(entry) ? `older than ${LOG_STORE.RETENTION_DAYS} days`
+                    : this.rejectionReason(entry, logs, limits);
+                if (reason) {
+                    result.rejected.push(reason);
+                    continue;
+                }
+                const inserted = this.insert(logs, entry);
+                logs = inserted.logs;
+                result[inserted.status]++;
+            }
+            await chrome.storage.local.set({ [LOG_STORE.STORAGE_KEY]: this.prune(logs) });
+            return result;
+        },
+
+        async remove(ids) {
+            const drop = new Set(ids);
+            const logs = await this.list();
+            const kept = logs.filter(log => !drop.has(this.idOf(log)));
+            await chrome.storage.local.set({ [LOG_STORE.STORAGE_KEY]: this.prune(kept) });
+            return logs.length - kept.length;
+        },
+
+        async clear() {
+            const logs = await this.list();
+            await chrome.storage.local.remove(LOG_STORE.STORAGE_KEY);
+            return logs.length;
+        }
+    },
+
+    // Called once by background.js
+    serve() {
+        this.isWriter = true;
+        chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+            if (!message || message.type !== LOG_STORE.MESSAGE || !this.ops[message.op]) return false;
+            this.enqueue(message.op, message.args)
+                .then(result => sendResponse({ result }))
+                .catch(e => sendResponse({ error: e.message }));
+            return true;    // respond asynchronously
+        });
+    }
+};
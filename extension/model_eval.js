@@ -0,0 +1,217 @@
+// =========================================================
+// FEDERATED EVALUATION (Used by model_sync.js, federated.js and popup.js)
+// =========================================================
+// A new global model is only adopted after it and the model in use have
+// been scored on a held-out slice of the local training logs
+// (HOLDOUT_PERCENT of them, picked by product; federated.js never trains
+// on or uploads them):
+//   error      mean |price feature - its reconstruction|, as scoreProduct()
+//   agreement  share of held-out audits where the reconstruction puts the
+//              price on the side of the verdict the user was shown
+// A clearly worse model (error up by more than MAX_ERROR_INCREASE and
+// MIN_ERROR_DELTA, or agreement down by more than MAX_AGREEMENT_DROP) is
+// declined and the last accepted model stays in use. Only these aggregate
+// numbers are reported to /report-evaluation in backend/server.py, and only
+// with federated contribution on and differential privacy off: they aren't
+// noised, so in DP mode they would leak outside the privacy budget.
+// /model-quality sums up all clients.
+// Requires settings.js, model_manifest.js, model_sync.js, privacy.js and log_store.js.
+const MODEL_EVAL = {
+    STORAGE_KEY: 'modelEvaluations',
+    HOLDOUT_PERCENT: 20,
+    MIN_SAMPLES: 5,
+    MAX_ERROR_INCREASE: 0.25,   // relative to the model in use
+    MIN_ERROR_DELTA: 0.01,      // smaller differences are noise
+    MAX_AGREEMENT_DROP: 0.15,
+    TIMEOUT_MS: 5000
+};
+
+const ModelEvaluation = {
+    // =========================================================
+    // 1. HELD-OUT LOGS
+    // =========================================================
+    // What decides the slice: the product, so its reloads, repriced audits
+    // and corrections (which replace each other under new IDs, see
+    // LogStore.insert) all land on the same side; logs without a product
+    // by category + time, which never change
+    holdoutKey(log) {
+        return log.product_id
+            ? `${log.site}|${log.product_id}`
+            : `${log.category || MODEL_SYNC.DEFAULT_CATEGORY}|${log.timestamp}`;
+    },
+
+    // FNV-1a of holdoutKey(): a log stays in (or out of) the slice for good
+    isHeldOut(log) {
+        let hash = 0x811c9dc5;
+        for (let c of this.holdoutKey(log)) {
+            hash = Math.imul(hash ^ c.charCodeAt(0), 0x01000193) >>> 0;
+        }
+        return hash % 100 < MODEL_EVAL.HOLDOUT_PERCENT;
+    },
+
+    async heldOutLogs(category) {
+        return (await LogStore.list()).filter(log =>
+            (log.category || MODEL_SYNC.DEFAULT_CATEGORY) === category && this.isHeldOut(log));
+    },
+
+    // =========================================================
+    // 2. METRICS
+    // =========================================================
+    // Point reconstructions from z_mean, rows x schema width (as TinyVAE.predictBatch())
+    reconstruct(weights, manifest, rows) {
+        const { encoder: encoderSpec, decoder: decoderSpec } = manifest.networks;
+        const width = manifest.schema.features.length;
+        const encoder = new ModelExecutor(encoderSpec, weights.encoder, width);
+        const decoder = new ModelExecutor(decoderSpec, weights.decoder, encoder.width(encoderSpec.outputs[0]));
+
+        const input = encoder.inputs(rows.length);
+        rows.forEach((features, r) => input.set(features, r * width));
+        decoder.inputs(rows.length).set(encoder.run(rows.length)[encoderSpec.outputs[0]]);
+        return decoder.run(rows.length)[decoderSpec.outputs[0]];
+    },
+
+    // { error, agreement } over the logs; agreement is null without audits
+    // (corrections carry no verdict)
+    metrics(weights, manifest, logs) {
+        const width = manifest.schema.features.length;
+        const P = manifest.schema.price_index;
+        const output = this.reconstruct(weights, manifest, logs.map(log => log.features));
+
+        let error = 0, audits = 0, agreed = 0;
+        logs.forEach((log, r) => {
+            const price = log.features[P], fair = output[r * width + P];
+            error += Math.abs(price - fair);
+            if (log.type === 'OVERPRICED_BIAS' || log.type === 'UNDERPRICED_DEAL') {
+                audits++;
+                if ((price > fair ? 'OVERPRICED_BIAS' : 'UNDERPRICED_DEAL') === log.type) agreed++;
+            }
+        });
+        const round = (value) => Math.round(value * 10000) / 10000;
+        return { error: round(error / logs.length), agreement: audits ? round(agreed / audits) : null };
+    },
+
+    // Why the candidate is clearly worse than the baseline, or null
+    declineReason(candidate, baseline) {
+        const increase = candidate.error - baseline.error;
+        if (increase > MODEL_EVAL.MIN_ERROR_DELTA && increase > baseline.error * MODEL_EVAL.MAX_ERROR_INCREASE) {
+            return `reconstruction error ${candidate.error.toFixed(4)} vs ${baseline.error.toFixed(4)}`;
+        }
+        if (candidate.agreement !== null && baseline.agreement - candidate.agreement > MODEL_EVAL.MAX_AGREEMENT_DROP) {
+            return `verdict agreement ${Math.round(candidate.agreement * 100)}% vs ${Math.round(baseline.agreement * 100)}%`;
+        }
+        return null;
+    },
+
+    // =========================================================
+    // 3. ACCEPTANCE
+    // =========================================================
+    // Scores a verified download ({ weights, version, hash }) against the
+    // model in use ({ weights, version }) and returns the stored evaluation
+    // { version, hash, baselineVersion, samples, candidate, baseline,
+    // accepted, reason, at }. Too few comparable held-out logs: accepted
+    // unmeasured (candidate and baseline null).
+    async review(category, candidate, baseline) {
+        const known = (await this.readAll())[category];
+        if (known && known.hash === candidate.hash) return known;   // judged this payload already
+
+        const manifestOf = async (weights) => weights.manifest
+            || ModelManifest.of(weights, (await ModelSync.readBundled(category)).weights.manifest.schema);
+        const candidateManifest = await manifestOf(candidate.weights);
+        const baselineManifest = await manifestOf(baseline.weights);
+
+        // Only logs both models read the same way
+        const width = candidateManifest.schema.features.length;
+        const logs = width !== baselineManifest.schema.features.length ? []
+            : (await this.heldOutLogs(category)).filter(log => Array.isArray(log.features) && log.features.length === width);
+
+        const evaluation = {
+            version: candidate.version,
+            hash: candidate.hash,
+            baselineVersion: baseline.version,
+            samples: logs.length,
+            candidate: null,
+            baseline: null,
+            accepted: true,
+            reason: null,
+            at: Date.now()
+        };
+        if (logs.length >= MODEL_EVAL.MIN_SAMPLES) {
+            evaluation.candidate = this.metrics(candidate.weights, candidateManifest, logs);
+            evaluation.baseline = this.metrics(baseline.weights, baselineManifest, logs);
+            evaluation.reason = this.declineReason(evaluation.candidate, evaluation.baseline);
+            evaluation.accepted = !evaluation.reason;
+            console.log(`📏 ${category} v${candidate.version} vs v${baseline.version} on ${logs.length} held-out logs: ` +
+                `error ${evaluation.candidate.error} vs ${evaluation.baseline.error}, ${evaluation.accepted ? 'accepted' : 'declined'}`);
+            await this.report(category, evaluation);
+        }
+
+        await this.save(category, evaluation);
+        return evaluation;
+    },
+
+    // Is the server on a newer model than `model` ({ version }), one this browser declined?
+    async isDeclined(category, model) {
+        const evaluation = (await this.readAll())[category];
+        return !!(evaluation && !evaluation.accepted && evaluation.version > model.version);
+    },
+
+    // { category: evaluation } of the latest download per category
+    async readAll() {
+        const data = await chrome.storage.local.get({ [MODEL_EVAL.STORAGE_KEY]: {} });
+        return data[MODEL_EVAL.STORAGE_KEY];
+    },
+
+    async save(category, evaluation) {
+        const evaluations = await this.readAll();
+        evaluations[category] = evaluation;
+        await chrome.storage.local.set({ [MODEL_EVAL.STORAGE_KEY]: evaluations });
+    },
+
+    // =========================================================
+    // 4. SERVER
+    // =========================================================
+    async request(path, init = {}) {
+        const controller = new AbortController();
+        const timer = setTimeout(() => controller.abort(), MODEL_EVAL.TIMEOUT_MS);
+        try {
+            const res = await fetch(`${await Settings.serverUrl()}${path}`, { ...init, signal: controller.signal, cache: 'no-store' });
+            if (!res.ok) throw new Error(`HTTP ${res.status}`);
+            return await res.json();
+        } finally {
+            clearTimeout(timer);
+        }
+    },
+
+    // Metrics only: no logs, prices or product IDs leave the device
+    async report(category, evaluation) {
+        if (!(await Settings.get()).FEDERATED_ENABLED || (await Privacy.getSettings()).ENABLED) return;
+        try {
+            await this.request('/report-evaluation', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({
+                    category,
+                    version: evaluation.version,
+                    baseline_version: evaluation.baselineVersion,
+                    samples: evaluation.samples,
+                    candidate: evaluation.candidate,
+                    baseline: evaluation.baseline,
+                    accepted: evaluation.accepted
+                })
+            });
+        } catch (e) {
+            console.warn(`⚠️ Evaluation report failed (${e.message})`);
+        }
+    },
+
+    // What clients reported for the server's current model:
+    // { version, reports, declined, samples, error, baseline_error, agreement }
+    // or null when the server can't be reached
+    async fetchQuality(category = MODEL_SYNC.DEFAULT_CATEGORY) {
+        try {
+            return await this.request(`/model-quality?category=${encodeURIComponent(category)}`);
+        } catch (e) {
+            return null;
+        }
+    }
+};
@@ -0,0 +1,231 @@
+// =========================================================
+// MODEL MANIFEST & EXECUTOR (Shared by pipeline.js, model_sync.js, federated.js)
+// =========================================================
+// A model payload describes the network it holds:
+//   { version, encoder: [arrays], decoder: [arrays], manifest }
+//   manifest = {
+//     format: 1,
+//     schema: { version, price_index, features },    input features + normalization
+//     networks: {
+//       encoder: { input: 'features', outputs: [mean, logvar], layers },
+//       decoder: { input: 'z', outputs: [reconstruction], layers }
+//     }
+//   }
+//   layer = { name, input, weights, bias, activation }: a dense layer on the
+//   network input or an earlier layer (by name); weights and bias index the
+//   payload's encoder / decoder array, bias is optional.
+// The model version is the payload's own `version`, bumped by the server on
+// every aggregation. Payloads from before manifests are read as the fixed
+// Tiny-VAE (LEGACY_NETWORKS) over the bundled feature schema. Manifests are
+// written by backend/model_manifest.py.
+const MODEL_MANIFEST = {
+    FORMAT: 1,
+    ACTIVATIONS: {
+        linear: (v) => v,
+        relu: (v) => v > 0 ? v : 0,
+        sigmoid: (v) => 1 / (1 + Math.exp(-v)),
+        tanh: (v) => Math.tanh(v)
+    },
+    LEGACY_NETWORKS: {
+        encoder: {
+            input: 'features',
+            outputs: ['z_mean', 'z_logvar'],
+            layers: [
+                { name: 'h1', input: 'features', weights: 0, bias: 1, activation: 'relu' },
+                { name: 'h2', input: 'h1', weights: 2, bias: 3, activation: 'relu' },
+                { name: 'z_mean', input: 'h2', weights: 4, bias: 5, activation: 'linear' },
+                { name: 'z_logvar', input: 'h2', weights: 6, bias: 7, activation: 'linear' }
+            ]
+        },
+        decoder: {
+            input: 'z',
+            outputs: ['reconstruction'],
+            layers: [
+                { name: 'd1', input: 'z', weights: 0, bias: 1, activation: 'relu' },
+                { name: 'd2', input: 'd1', weights: 2, bias: 3, activation: 'relu' },
+                { name: 'reconstruction', input: 'd2', weights: 4, bias: 5, activation: 'sigmoid' }
+            ]
+        }
+    }
+};
+
+// =========================================================
+// 1. MANIFEST
+// =========================================================
+const ModelManifest = {
+    // The payload's manifest, or the legacy architecture over `schema`
+    of(weights, schema) {
+        return weights.manifest || { format: MODEL_MANIFEST.FORMAT, schema, networks: MODEL_MANIFEST.LEGACY_NETWORKS };
+    },
+
+    // trainOnLogs() in federated.js backpropagates the legacy layout only
+    isTrainable(manifest) {
+        const layout = (networks) => JSON.stringify(['encoder', 'decoder'].map(group => {
+            const spec = networks[group];
+            return [spec.input, spec.outputs, spec.layers.map(l => [l.input, l.weights, l.bias, l.activation])];
+        }));
+        return layout(manifest.networks) === layout(MODEL_MANIFEST.LEGACY_NETWORKS);
+    },
+
+    // Reason the manifest can't run these weights as a Tiny-VAE, or null.
+    // Every parameter must be a finite number within ±maxAbs.
+    problem(manifest, weights, maxAbs) {
+        if (!manifest || typeof manifest !== 'object' || !manifest.networks) return 'manifest has no networks';
+        if (manifest.format !== MODEL_MANIFEST.FORMAT) return `manifest format ${manifest.format} is not supported`;
+        const schemaProblem = this.schemaProblem(manifest.schema);
+        if (schemaProblem) return `manifest schema ${schemaProblem}`;
+
+        const { encoder, decoder } = manifest.networks;
+        const width = manifest.schema.features.length;
+        const encoded = this.trace('encoder', encoder, weights.encoder, width, maxAbs);
+        if (encoded.problem) return encoded.problem;
+
+        // The encoder yields mean and log-variance of one latent, the decoder
+        // maps a latent sample back to the feature vector
+        const [mean, logvar] = encoder.outputs;
+        const latent = encoded.widths[mean];
+        if (encoder.outputs.length !== 2 || encoded.widths[logvar] !== latent) {
+            return 'encoder does not output a mean and a log-variance of equal width';
+        }
+        const decoded = this.trace('decoder', decoder, weights.decoder, latent, maxAbs);
+        if (decoded.problem) return decoded.problem;
+        if (decoder.outputs.length !== 1 || decoded.widths[decoder.outputs[0]] !== width) {
+            return `decoder does not reconstruct the ${width} schema features`;
+        }
+        return null;
+    },
+
+    schemaProblem(schema) {
+        if (!schema || !Array.isArray(schema.features) || !schema.features.length) return 'has no features';
+        for (let feature of schema.features) {
+            if (!feature || typeof feature.name !== 'string') return 'has a feature without a name';
+            const normalized = feature.encoding === 'numeric'
+                ? typeof feature.max === 'number' && feature.max > 0
+                : feature.encoding === 'category' && Array.isArray(feature.categories)
+                    && feature.categories.includes(feature.default) && typeof feature.scale === 'number' && feature.scale > 0;
+            if (!normalized) return `feature ${feature.name} has no valid normalization`;
+        }
+        const price = schema.features[schema.price_index];
+        if (!price || price.encoding !== 'numeric') return 'price_index is not a numeric feature';
+        return null;
+    },
+
+    // { widths: { node: width } } for one network, or { problem }
+    trace(group, spec, params, inputWidth, maxAbs) {
+        if (!spec || typeof spec.input !== 'string' || !Array.isArray(spec.layers) || !Array.isArray(spec.outputs)) {
+            return { problem: `manifest has no valid ${group} network` };
+        }
+        if (!Array.isArray(params)) return { problem: `${group} has no parameter arrays` };
+        const numbers = (values) => values.every(v => typeof v === 'number' && Number.isFinite(v) && Math.abs(v) <= maxAbs);
+
+        const widths = { [spec.input]: inputWidth };
+        for (let layer of spec.layers) {
+            if (!layer || typeof layer.name !== 'string' || layer.name in widths) {
+                return { problem: `${group} has a layer with a missing or duplicate name` };
+            }
+            if (!(layer.input in widths)) return { problem: `${group} layer ${layer.name} reads unknown input ${layer.input}` };
+            if (!Object.hasOwn(MODEL_MANIFEST.ACTIVATIONS, layer.activation)) {
+                return { problem: `${group} layer ${layer.name} has unknown activation ${layer.activation}` };
+            }
+
+            const rows = widths[layer.input];
+            const matrix = params[layer.weights];
+            const cols = Array.isArray(matrix) && Array.isArray(matrix[0]) ? matrix[0].length : 0;
+            const ok = cols > 0 && matrix.length === rows && matrix.every(row => Array.isArray(row) && row.length === cols && numbers(row));
+            if (!ok) return { problem: `${group}[${layer.weights}] (${layer.name}) is not a ${rows}-row matrix of numbers within ±${maxAbs}` };
+
+            if (layer.bias !== undefined) {
+                const bias = params[layer.bias];
+                if (!Array.isArray(bias) || bias.length !== cols || !numbers(bias)) {
+                    return { problem: `${group}[${layer.bias}] (${layer.name} bias) is not a length-${cols} array of numbers within ±${maxAbs}` };
+                }
+            }
+            widths[layer.name] = cols;
+        }
+
+        const missing = spec.outputs.find(name => name === spec.input || !(name in widths));
+        if (missing !== undefined) return { problem: `${group} output ${missing} is not a layer` };
+        return { widths };
+    }
+};
+
+// =========================================================
+// 2. EXECUTOR
+// =========================================================
+// Runs one network of a validated manifest. Parameters are copied once into
+// flat row-major Float32Arrays. The input and every layer's activations live
+// in buffers sized for the largest batch so far, reused by later calls:
+// scoring a listing page or 200 Monte-Carlo samples allocates nothing.
+class ModelExecutor {
+    constructor(spec, params, inputWidth) {
+        this.inputName = spec.input;
+        this.inputWidth = inputWidth;
+        this.outputs = spec.outputs;
+        this.capacity = 0;
+        this.input = null;
+
+        this.widths = { [spec.input]: inputWidth };
+        this.layers = spec.layers.map(layer => {
+            const matrix = params[layer.weights];
+            const rows = matrix.length, cols = matrix[0].length;
+            const weights = new Float32Array(rows * cols);
+            matrix.forEach((row, i) => weights.set(row, i * cols));
+            this.widths[layer.name] = cols;
+            return {
+                name: layer.name,
+                input: layer.input,
+                rows,
+                cols,
+                weights,
+                bias: layer.bias !== undefined ? Float32Array.from(params[layer.bias]) : new Float32Array(cols),
+                activation: MODEL_MANIFEST.ACTIVATIONS[layer.activation],
+                buffer: null
+            };
+        });
+    }
+
+    width(name) {
+        return this.widths[name];
+    }
+
+    // Grows the buffers to `rows` rows; smaller batches reuse them
+    reserve(rows) {
+        if (rows <= this.capacity) return;
+        this.input = new Float32Array(rows * this.inputWidth);
+        for (let layer of this.layers) layer.buffer = new Float32Array(rows * layer.cols);
+        this.capacity = rows;
+    }
+
+    // Input buffer for `rows` rows (row r starts at r * inputWidth), to be
+    // filled before run(rows)
+    inputs(rows) {
+        this.reserve(rows);
+        return this.input;
+    }
+
+    // { output name: Float32Array of rows x width(name) }. The arrays are
+    // views into the reused buffers, valid until the next run()
+    run(rows) {
+        this.reserve(rows);
+        const values = { [this.inputName]: this.input };
+
+        for (let layer of this.layers) {
+            const x = values[layer.input], out = layer.buffer;
+            const { rows: n, cols: m, weights, bias, activation } = layer;
+            for (let r = 0; r < rows; r++) {
+                const xo = r * n, oo = r * m;
+                out.set(bias, oo);
+                for (let i = 0; i < n; i++) {
+                    const xi = x[xo + i];
+                    if (xi === 0) continue;     // ReLU zeros
+                    const wo = i * m;
+                    for (let j = 0; j < m; j++) out[oo + j] += xi * weights[wo + j];
+                }
+                for (let j = oo; j < oo + m; j++) out[j] = activation(out[j]);
+            }
+            values[layer.name] = out;
+        }
+
+        return Object.fromEntries(this.outputs.map(name => [name, values[name].subarray(0, rows * this.widths[name])]));
+    }
+}
@@ -0,0 +1,261 @@
+// =========================================================
+// GLOBAL MODEL SYNC (Shared by content.js and popup.js)
+// =========================================================
+// Caches each category's global model in chrome.storage.local together
+// with its version and SHA-256 content hash. The server is only asked
+// again once the cache is older than MAX_AGE_MS, and even then with
+// If-None-Match, so unchanged weights come back as an empty 304.
+// The server URL comes from the user's settings (settings.js).
+//
+// Downloads are untrusted until proven otherwise: the payload must carry an
+// Ed25519 signature (X-Model-Signature) by the key bundled in manifest.json
+// ("model_signing_key"), be runnable as its manifest describes it (see
+// model_manifest.js), hold only finite values within MAX_ABS_WEIGHT, and not
+// be older than the model already cached. A rejected download is never
+// cached; the last verified cache (or the bundled weights) stays in use and
+// the reason is kept for the popup under REJECTIONS_KEY. A download that
+// passes is still declined when it does clearly worse than the model in use
+// on the user's held-out logs (model_eval.js).
+const MODEL_SYNC = {
+    STORAGE_KEY: 'globalModel',
+    REJECTIONS_KEY: 'modelRejections',
+    MAX_AGE_MS: 10 * 60 * 1000,
+    DEFAULT_CATEGORY: 'laptop',
+    MAX_ABS_WEIGHT: 100
+};
+
+const ModelSync = {
+    publicKeyPromise: null,     // imported once from the manifest
+
+    async sha256(text) {
+        const bytes = new TextEncoder().encode(text);
+        const digest = await crypto.subtle.digest('SHA-256', bytes);
+        return Array.from(new Uint8Array(digest)).map(b => b.toString(16).padStart(2, '0')).join('');
+    },
+
+    cacheKey(category) {
+        return `${MODEL_SYNC.STORAGE_KEY}:${category}`;
+    },
+
+    // Bundled fallback: model_weights.json for laptops, model_weights_<id>.json otherwise
+    weightsFile(category) {
+        return category === MODEL_SYNC.DEFAULT_CATEGORY ? 'model_weights.json' : `model_weights_${category}.json`;
+    },
+
+    async readCache(category = MODEL_SYNC.DEFAULT_CATEGORY) {
+        const key = this.cacheKey(category);
+        const data = await chrome.storage.local.get({ [key]: null });
+        return data[key];
+    },
+
+    // { category: entry } for every cached category
+    async readAllCaches() {
+        const data = await chrome.storage.local.get(null);
+        const prefix = `${MODEL_SYNC.STORAGE_KEY}:`;
+        return Object.fromEntries(Object.keys(data)
+            .filter(k => k.startsWith(prefix))
+            .map(k => [k.substring(prefix.length), data[k]]));
+    },
+
+    async writeCache(category, entry) {
+        await chrome.storage.local.set({ [this.cacheKey(category)]: entry });
+        return entry;
+    },
+
+    // =========================================================
+    // VERIFICATION
+    // =========================================================
+    async publicKey() {
+        if (!this.publicKeyPromise) {
+            const encoded = chrome.runtime.getManifest().model_signing_key;
+            this.publicKeyPromise = encoded
+                ? crypto.subtle.importKey('raw', this.fromBase64(encoded), { name: 'Ed25519' }, false, ['verify'])
+                : Promise.resolve(null);
+        }
+        return this.publicKeyPromise;
+    },
+
+    // Why no download can ever verify, or null. A setup error (see README),
+    // shown by the popup and failing federated rounds instead of letting
+    // every upload bounce off the server as stale
+    async setupProblem() {
+        try {
+            if (await this.publicKey()) return null;
+        } catch (e) {
+            return `Model signing key in manifest.json is unusable (${e.message}). Run backend/generate_signing_key.py (see README).`;
+        }
+        return 'No model signing key in manifest.json. Run backend/generate_signing_key.py (see README); until then no model download is accepted.';
+    },
+
+    fromBase64(text) {
+        return Uint8Array.from(atob(text), c => c.charCodeAt(0));
+    },
+
+    // Signed message: "<category>\n<payload>", as sign_model() in server.py
+    async verifySignature(category, text, signature) {
+        let key;
+        try {
+            key = await this.publicKey();
+        } catch (e) {
+            return `model signing key in manifest.json is unusable (${e.message})`;
+        }
+        if (!key) return 'no model signing key in manifest.json';
+        if (!signature) return 'payload is not signed';
+
+        let bytes;
+        try {
+            bytes = this.fromBase64(signature);
+        } catch (e) {
+            return 'signature is not base64';
+        }
+        const message = new TextEncoder().encode(`${category}\n${text}`);
+        return (await crypto.subtle.verify({ name: 'Ed25519' }, key, bytes, message)) ? null : 'signature does not match';
+    },
+
+    // Reason the weights must not be used, or null. Payloads without a
+    // manifest are read as the legacy Tiny-VAE over the bundled schema
+    async shapeProblem(category, weights) {
+        if (!weights || typeof weights !== 'object') return 'payload is not an object';
+        if (weights.version !== undefined && !(Number.isInteger(weights.version) && weights.version > 0)) {
+            return `version ${weights.version} is not a positive integer`;
+        }
+        const manifest = weights.manifest !== undefined ? weights.manifest
+            : ModelManifest.of(weights, (await this.readBundled(category)).weights.manifest.schema);
+        return ModelManifest.problem(manifest, weights, MODEL_SYNC.MAX_ABS_WEIGHT);
+    },
+
+    // Reason a downloaded payload must be rejected, or null
+    async rejectionReason(category, text, signature, weights, version, known) {
+        const unsigned = await this.verifySignature(category, text, signature);
+        if (unsigned) return unsigned;
+        const problem = await this.shapeProblem(category, weights);
+        if (problem) return problem;
+        // A validly signed but older model (replayed download) would roll training back
+        if (known && version < known.version) return `v${version} is older than the cached v${known.version}`;
+        return null;
+    },
+
+    // { category: { reason, version, server, at } } for the popup
+    async readRejections() {
+        const data = await chrome.storage.local.get({ [MODEL_SYNC.REJECTIONS_KEY]: {} });
+        return data[MODEL_SYNC.REJECTIONS_KEY];
+    },
+
+    async recordRejection(category, rejection) {
+        const rejections = await this.readRejections();
+        if (rejection) rejections[category] = rejection;
+        else if (rejections[category]) delete rejections[category];
+        else return;
+        await chrome.storage.local.set({ [MODEL_SYNC.REJECTIONS_KEY]: rejections });
+    },
+
+    // Caches written before downloads were verified carry no signature
+    isVerified(entry) {
+        return !!(entry && entry.signature);
+    },
+
+    // =========================================================
+    // SYNC
+    // =========================================================
+    // Returns { weights, version, hash, etag, syncedAt, server, signature, source }
+    async getGlobalModel({ category = MODEL_SYNC.DEFAULT_CATEGORY, force = false } = {}) {
+        const server = await Settings.serverUrl();
+        const stored = await this.readCache(category);
+        const cached = this.isVerified(stored) ? stored : null;
+        // A model cached from another server (staging vs production) is only an offline fallback
+        const current = cached && (cached.server || SETTINGS_DEFAULTS.SERVER_URL) === server ? cached : null;
+
+        if (!force && current && Date.now() - current.syncedAt < MODEL_SYNC.MAX_AGE_MS) {
+            return { ...current, source: 'cache' };
+        }
+
+        try {
+            const headers = {};
+            if (current && current.etag) headers['If-None-Match'] = current.etag;
+
+            const url = `${server}/get-global-model?category=${encodeURIComponent(category)}`;
+            const res = await fetch(url, { headers, cache: 'no-store' });
+
+            if (res.status === 304 && current) {
+                console.log(`🧠 Global ${category} model v${current.version} unchanged (304)`);
+                return { ...(await this.writeCache(category, { ...current, server, syncedAt: Date.now() })), source: 'cache' };
+            }
+            if (!res.ok) throw new Error(`HTTP ${res.status}`);
+
+            const text = await res.text();
+            const signature = res.headers.get('X-Model-Signature');
+            let weights = null;
+            try {
+                weights = JSON.parse(text);
+            } catch (e) {
+                // reported as a shape problem below
+            }
+            const version = (weights && weights.version) || 1;
+
+            const reason = await this.rejectionReason(category, text, signature, weights, version, current);
+            if (reason) {
+                console.error(`🚫 Rejected global ${category} model from ${server}: ${reason}`);
+                await this.recordRejection(category, { reason, version, server, at: Date.now() });
+                return this.fallback(category, cached);
+            }
+
+            // Scored against the model in use on held-out local logs first (model_eval.js)
+            const hash = await this.sha256(text);
+            const evaluation = await ModelEvaluation.review(category, { weights, version, hash }, cached || await this.readBundled(category));
+            if (!evaluation.accepted) {
+                console.warn(`📉 Declined global ${category} model v${version}: ${evaluation.reason}`);
+                // Keep the model in use; the server is asked again after MAX_AGE_MS (the same payload isn't re-scored)
+                if (current) await this.writeCache(category, { ...current, syncedAt: Date.now() });
+                return this.fallback(category, cached);
+            }
+
+            const entry = await this.writeCache(category, {
+                weights,
+                version,
+                hash,
+                etag: res.headers.get('ETag') || `"${hash}"`,
+                syncedAt: Date.now(),
+                server,
+                signature
+            });
+            await this.recordRejection(category, null);
+            console.log(`🧠 Global ${category} model v${version} downloaded and verified (${hash.substring(0, 8)})`);
+            return { ...entry, source: 'server' };
+
+        } catch (e) {
+            console.warn(`⚠️ Server Offline (${e.message}).`);
+            return this.fallback(category, cached);
+        }
+    },
+
+    // Last verified cache (from any server), else the bundled weights
+    async fallback(category, cached) {
+        if (cached) {
+            console.warn(`⚠️ Using cached global ${category} model v${cached.version}`);
+            return { ...cached, source: 'cache' };
+        }
+        return this.loadBundled(category);
+    },
+
+    async loadBundled(category = MODEL_SYNC.DEFAULT_CATEGORY) {
+        console.warn(`⚠️ No cached ${category} model. Falling back to bundled weights...`);
+        return this.readBundled(category);
+    },
+
+    // Shipped inside the extension package, so trusted as is
+    async readBundled(category) {
+        const res = await fetch(chrome.runtime.getURL(this.weightsFile(category)));
+        const text = await res.text();
+        const weights = JSON.parse(text);
+        return {
+            weights,
+            version: weights.version || 1,
+            hash: await this.sha256(text),
+            etag: null,
+            syncedAt: null,
+            server: null,
+            signature: null,
+            source: 'bundled'
+        };
+    }
+};
@@ -0,0 +1,128 @@
+// 1. UI SETUP
+// Form fields <-> settings.js keys; percentages are stored as fractions
+const FIELDS = [
+    { id: 'serverUrl', key: 'SERVER_URL', type: 'text' },
+    { id: 'threshold', key: 'THRESHOLD', type: 'number' },
+    { id: 'interval', key: 'INTERVAL', type: 'percent' },
+    { id: 'confidenceHigh', key: 'CONFIDENCE_HIGH', type: 'percent' },
+    { id: 'confidenceMedium', key: 'CONFIDENCE_MEDIUM', type: 'percent' },
+    { id: 'listingBadgesEnabled', key: 'LISTING_BADGES_ENABLED', type: 'checkbox' },
+    { id: 'loggingEnabled', key: 'LOGGING_ENABLED', type: 'checkbox' },
+    { id: 'federatedEnabled', key: 'FEDERATED_ENABLED', type: 'checkbox' },
+    { id: 'contextSharingEnabled', key: 'CONTEXT_SHARING_ENABLED', type: 'checkbox' }
+];
+
+document.addEventListener('DOMContentLoaded', async () => {
+    fillForm(await Settings.get());
+    renderSites();
+});
+document.getElementById('optionsForm').addEventListener('submit', (e) => {
+    e.preventDefault();
+    saveOptions();
+});
+document.getElementById('resetBtn').addEventListener('click', async () => {
+    fillForm(await Settings.reset());
+    renderSites();
+    showStatus('✅ Defaults restored', 'green');
+});
+document.getElementById('testServer').addEventListener('click', () => testServer(document.getElementById('serverUrl').value));
+
+// Saved from another window (or synced from another device)
+Settings.onChange((settings) => {
+    fillForm(settings);
+    renderSites();
+});
+
+// Storefronts apply immediately: optional ones need the permission prompt,
+// which only works directly from the click
+document.getElementById('siteList').addEventListener('change', async (e) => {
+    const adapter = SiteRegistry.get(e.target.dataset.site);
+    if (!adapter) return;
+
+    try {
+        e.target.checked = await SiteRegistry.setEnabled(adapter, e.target.checked);
+    } catch (err) {
+        console.error(err);
+        e.target.checked = !e.target.checked;
+    }
+    renderSites();
+});
+
+function fillForm(settings) {
+    for (let field of FIELDS) {
+        const input = document.getElementById(field.id);
+        const value = settings[field.key];
+        if (field.type === 'checkbox') input.checked = value;
+        else if (field.type === 'percent') input.value = Math.round(value * 100);
+        else input.value = value;
+    }
+}
+
+function readForm() {
+    const changes = {};
+    for (let field of FIELDS) {
+        const input = document.getElementById(field.id);
+        if (field.type === 'checkbox') changes[field.key] = input.checked;
+        else if (field.type === 'percent') changes[field.key] = Number(input.value) / 100;
+        else if (field.type === 'number') changes[field.key] = Number(input.value);
+        else changes[field.key] = input.value.trim();
+    }
+    return changes;
+}
+
+function showStatus(text, color = '') {
+    const status = document.getElementById('status');
+    status.innerText = text;
+    status.style.color = color;
+}
+
+async function renderSites() {
+    const rows = [];
+    for (let adapter of SiteRegistry.adapters) {
+        const enabled = await SiteRegistry.isEnabled(adapter);
+        rows.push(`
+            <label class="toggle">
+                <input type="checkbox" data-site="${adapter.id}" ${enabled ? 'checked' : ''}>
+                ${adapter.label}${adapter.builtIn ? '' : ' (asks for access to the site)'}
+            </label>`);
+    }
+    document.getElementById('siteList').innerHTML = rows.join('');
+}
+
+// 2. SERVER HEALTH CHECK
+async function testServer(url) {
+    const status = document.getElementById('serverStatus');
+    status.style.color = '';
+    status.innerText = '⏳ Checking...';
+
+    const result = await Settings.checkServer(url);
+    status.innerText = result.ok ? `✅ ${result.message}` : `❌ ${result.message}`;
+    status.style.color = result.ok ? 'green' : 'red';
+    return result.ok;
+}
+
+// 3. SAVE
+// A new server URL is only stored once it answers like a FairMarket server
+async function saveOptions() {
+    const btn = document.getElementById('saveBtn');
+    btn.disabled = true;
+    showStatus('');
+
+    try {
+        const changes = readForm();
+        const current = await Settings.get();
+        Settings.validate({ ...current, ...changes });
+
+        if (Settings.normalizeUrl(changes.SERVER_URL) !== current.SERVER_URL && !(await testServer(changes.SERVER_URL))) {
+            throw new Error('Server did not pass the health check, nothing saved');
+        }
+
+        fillForm(await Settings.save(changes));
+        showStatus('✅ Saved', 'green');
+    } catch (e) {
+        console.error(e);
+        showStatus(`❌ ${e.message}`, 'red');
+    } finally {
+        btn.disabled = false;
+    }
+}
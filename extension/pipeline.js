@@ -0,0 +1,880 @@
+// =========================================================
+// AUDIT PIPELINE (Shared by content.js and tools/batch_audit.js)
+// =========================================================
+// Page -> product -> verdict, with no UI: site detection, extraction
+// (SEO metadata first, DOM as fallback), feature encoding, the Tiny-VAE
+// and scoring; plus product cards on search and category listings, scored
+// together. content.js adds the alert, logging and live re-audits on top;
+// the batch audit CLI runs the same code against saved pages.
+// Requires settings.js, model_manifest.js, model_sync.js, categories.js, currency.js and sites.js.
+
+// =========================================================
+// 1. CONFIGURATION
+// =========================================================
+// THRESHOLD, INTERVAL, CONFIDENCE_WIDTH and LOGGING_ENABLED are user
+// settings: applySettings() refreshes them from settings.js before every audit
+const CONFIG = {
+    THRESHOLD: SETTINGS_DEFAULTS.THRESHOLD,
+    REAUDIT_DEBOUNCE_MS: 1500,
+    LOGGING_ENABLED: SETTINGS_DEFAULTS.LOGGING_ENABLED,
+
+    // How long the DOM fallback waits for late-rendered price / title nodes
+    // (saved pages never change, the batch audit CLI sets both to 0)
+    PRICE_WAIT_MS: 15000,
+    TITLE_WAIT_MS: 10000,
+
+    // Fair-price distribution: Monte-Carlo samples from the latent posterior,
+    // verdicts only outside the central INTERVAL of it
+    MC_SAMPLES: 200,
+    INTERVAL: SETTINGS_DEFAULTS.INTERVAL,
+    // Interval width relative to the median: up to HIGH is high confidence,
+    // up to MEDIUM medium, anything wider is too unsure for a verdict
+    CONFIDENCE_WIDTH: { HIGH: SETTINGS_DEFAULTS.CONFIDENCE_HIGH, MEDIUM: SETTINGS_DEFAULTS.CONFIDENCE_MEDIUM },
+    
+    // Feature order, categories and normalization (incl. max price) live in
+    // the per-category feature_schema*.json files, see categories.js
+    
+    // Per-site URL patterns, product IDs, extraction order and selectors
+    // live in the declarative adapters, see sites.js
+};
+
+function applySettings(settings) {
+    CONFIG.THRESHOLD = settings.THRESHOLD;
+    CONFIG.INTERVAL = settings.INTERVAL;
+    CONFIG.CONFIDENCE_WIDTH = { HIGH: settings.CONFIDENCE_HIGH, MEDIUM: settings.CONFIDENCE_MEDIUM };
+    CONFIG.LOGGING_ENABLED = settings.LOGGING_ENABLED;
+    return settings;
+}
+
+// =========================================================
+// 2. SITE DETECTOR
+// =========================================================
+function detectSite() {
+    const adapter = SiteRegistry.forHost(window.location.hostname);
+    return adapter ? adapter.id : null;
+}
+
+// Stable product ID for price history (ASIN / Flipkart pid / store SKU)
+function getProductId(site) {
+    const adapter = SiteRegistry.get(site);
+    if (!adapter) return null;
+    return adapter.getProductId(new URL(window.location.href));
+}
+
+// Product ID, or the page path on sites / pages without one
+function productKey(site) {
+    return getProductId(site) || window.location.pathname;
+}
+
+// =========================================================
+// 3. SEO METADATA EXTRACTOR (PRIMARY METHOD)
+// =========================================================
+// Each reader returns { name, listing, specs?, category? } or null, where
+// listing is { amount, currency, low?, high? } in the page's own currency
+const METADATA_READERS = {
+    // JSON-LD Schema.org (Most Reliable)
+    'json-ld': (adapter) => {
+        const jsonLdScripts = document.querySelectorAll('script[type="application/ld+json"]');
+        
+        for (let script of jsonLdScripts) {
+            try {
+                const data = JSON.parse(script.textContent);
+                
+                // Handle both single objects and arrays
+                const products = Array.isArray(data) ? data : [data];
+                
+                for (let item of products) {
+                    // Check if it's a Product schema
+                    if (item['@type'] === 'Product' || item['@type'] === 'http://schema.org/Product') {
+                        const name = (item.name || '').toLowerCase();
+                        const listing = jsonLdOffer(item.offers, adapter.currency);
+                        
+                        if (listing && name) {
+                            return { name, listing, specs: jsonLdSpecs(item), category: item.category || [] };
+                        }
+                    }
+                }
+            } catch (e) {
+                continue; // Try next script
+            }
+        }
+        return null;
+    },
+
+    // Schema.org microdata (itemscope / itemprop attributes)
+    'microdata': (adapter) => {
+        const product = document.querySelector('[itemscope][itemtype*="schema.org/Product"]');
+        if (!product) return null;
+
+        const name = (microdataProp(product, 'name') || '').toLowerCase();
+        const offer = product.querySelector('[itemprop="offers"]') || product;
+        const low = microdataProp(offer, 'lowPrice'), high = microdataProp(offer, 'highPrice');
+        const listing = Currency.parse(
+            low ? [low, high].filter(Boolean).join(' - ') : microdataProp(offer, 'price'),
+            microdataProp(offer, 'priceCurrency') || adapter.currency
+        );
+        if (!(listing && name)) return null;
+
+        return { name, listing, specs: microdataSpecs(product), category: microdataProp(product, 'category') || [] };
+    },
+
+    // Open Graph Meta Tags
+    'og': (adapter) => {
+        const ogTitle = document.querySelector('meta[property="og:title"]')?.content || '';
+        const ogPriceAmount = document.querySelector('meta[property="product:price:amount"]')?.content || 
+                              document.querySelector('meta[property="og:price:amount"]')?.content || '';
+        const ogCurrency = document.querySelector('meta[property="product:price:currency"]')?.content ||
+                           document.querySelector('meta[property="og:price:currency"]')?.content || adapter.currency;
+        
+        if (ogTitle && ogPriceAmount) {
+            const listing = Currency.parse(ogPriceAmount, ogCurrency);
+            if (listing) return { name: ogTitle.toLowerCase(), listing };
+        }
+        return null;
+    },
+
+    // Twitter Card Meta Tags
+    'twitter': (adapter) => {
+        const twitterTitle = document.querySelector('meta[name="twitter:title"]')?.content || '';
+        const twitterData = document.querySelector('meta[name="twitter:data1"]')?.content || '';
+        
+        if (twitterTitle && twitterData) {
+            const listing = Currency.parse(twitterData, adapter.currency);
+            if (listing) return { name: twitterTitle.toLowerCase(), listing };
+        }
+        return null;
+    }
+};
+
+// offers may be an Offer, an AggregateOffer (lowPrice/highPrice) or a list of
+// either; the cheapest one wins. Returns a listing or null.
+function jsonLdOffer(offers, fallbackCurrency) {
+    let best = null;
+    for (let offer of [].concat(offers || [])) {
+        if (!offer || typeof offer !== 'object') continue;
+        const spec = [].concat(offer.priceSpecification || [])[0] || {};
+        const currency = offer.priceCurrency || spec.priceCurrency || fallbackCurrency;
+
+        let listing = null;
+        if (offer.lowPrice !== undefined) {
+            const low = Currency.parse(offer.lowPrice, currency);
+            const high = offer.highPrice !== undefined ? Currency.parse(offer.highPrice, currency) : null;
+            listing = low && high && high.amount > low.amount
+                ? { ...low, low: low.amount, high: high.amount }
+                : low;
+        } else if (offer.price !== undefined || spec.price !== undefined) {
+            listing = Currency.parse(offer.price ?? spec.price, currency);
+        } else if (offer.offers) {
+            listing = jsonLdOffer(offer.offers, currency);
+        }
+
+        if (listing && (!best || listing.amount < best.amount)) best = listing;
+    }
+    return best;
+}
+
+// Value of an itemprop that belongs to this itemscope (not to a nested one)
+function microdataProp(scope, prop) {
+    for (let el of scope.querySelectorAll(`[itemprop="${prop}"]`)) {
+        const owner = el.parentElement ? el.parentElement.closest('[itemscope]') : null;
+        if (owner !== scope && el !== scope) continue;
+        if (el.hasAttribute('itemscope')) return microdataProp(el, 'name');
+        const value = el.getAttribute('content') || el.getAttribute('value') || el.textContent || '';
+        return value.replace(/\s+/g, ' ').trim();
+    }
+    return null;
+}
+
+// Tries the adapter's metadata sources in its priority order
+function extractFromSEOMetadata(site) {
+    const adapter = SiteRegistry.get(site);
+    try {
+        for (let method of adapter.extraction) {
+            const reader = METADATA_READERS[method];
+            if (!reader) continue;
+
+            const result = reader(adapter);
+            if (result) {
+                result.method = method;
+                console.log(`✅ Extracted from ${method}`);
+                console.log('📝 Product:', result.name.substring(0, 50));
+                console.log('💰 Price:', Currency.format(result.listing.amount, result.listing.currency));
+                return result;
+            }
+        }
+        
+        console.warn('⚠️ No SEO metadata found, falling back to DOM scraping');
+        return null;
+        
+    } catch (e) {
+        console.error('❌ SEO extraction failed:', e);
+        return null;
+    }
+}
+
+// =========================================================
+// 4. SMART DOM READER (FALLBACK METHOD)
+// =========================================================
+function waitForElement(selectors, timeout = CONFIG.TITLE_WAIT_MS) {
+    return new Promise((resolve) => {
+        for (let selector of selectors) {
+            const element = document.querySelector(selector);
+            if (element && element.innerText) {
+                resolve(element);
+                return;
+            }
+        }
+        
+        // Give up after `timeout` even if the page never changes again
+        const timer = setTimeout(() => {
+            observer.disconnect();
+            resolve(null);
+        }, timeout);
+        const observer = new MutationObserver(() => {
+            for (let selector of selectors) {
+                const element = document.querySelector(selector);
+                if (element && element.innerText) {
+                    clearTimeout(timer);
+                    observer.disconnect();
+                    resolve(element);
+                    return;
+                }
+            }
+        });
+        
+        observer.observe(document.body, {
+            childList: true,
+            subtree: true
+        });
+    });
+}
+
+async function extractFromDOM(site) {
+    const adapter = SiteRegistry.get(site);
+    if (!adapter) return null;
+    
+    try {
+        console.log('🔄 Falling back to DOM scraping...');
+        
+        const priceElement = await waitForElement(SiteRegistry.selectorsFor(adapter, 'price'), CONFIG.PRICE_WAIT_MS);
+        
+        if (!priceElement) {
+            console.warn('❌ Price not found in DOM');
+            return null;
+        }
+        
+        let priceText = priceElement.innerText || priceElement.textContent;
+        let listing = Currency.parse(priceText, adapter.currency);
+        
+        if (!listing) {
+            console.warn('❌ Invalid price from DOM:', priceText);
+            return null;
+        }
+        
+        const titleElement = await waitForElement(SiteRegistry.selectorsFor(adapter, 'title'));
+        
+        let name = titleElement ? (titleElement.innerText || titleElement.textContent).toLowerCase() : "";
+        
+        console.log('✅ Extracted from DOM');
+        return { name, listing, method: 'dom' };
+        
+    } catch (e) { 
+        console.error('❌ DOM extraction failed:', e);
+        return null; 
+    }
+}
+
+// Price the page shows right now (no waiting), or null
+function readLivePrice(adapter) {
+    for (let selector of SiteRegistry.selectorsFor(adapter, 'price')) {
+        const element = document.querySelector(selector);
+        const text = element ? (element.innerText || element.textContent || '').trim() : '';
+        if (text) return { text, listing: Currency.parse(text, adapter.currency) };
+    }
+    return null;
+}
+
+// =========================================================
+// 5. SPEC EXTRACTOR (Spec tables + JSON-LD / microdata additionalProperty)
+// =========================================================
+// Raw specs are collected as { key -> { value, source } } with keys
+// lowercased. Structured data wins over spec tables, the title is the last resort.
+function jsonLdSpecs(item) {
+    const specs = {};
+    const brand = typeof item.brand === 'object' ? item.brand?.name : item.brand;
+    if (brand) specs['brand'] = String(brand);
+    if (item.model) specs['model'] = typeof item.model === 'object' ? item.model.name : String(item.model);
+
+    const props = Array.isArray(item.additionalProperty) ? item.additionalProperty : [];
+    for (let prop of props) {
+        if (prop && prop.name && prop.value !== undefined) {
+            specs[String(prop.name).toLowerCase().trim()] = String(prop.value);
+        }
+    }
+    return specs;
+}
+
+// itemprop="additionalProperty" blocks hold name/value pairs like JSON-LD
+function microdataSpecs(product) {
+    const specs = {};
+    const brand = microdataProp(product, 'brand');
+    if (brand) specs['brand'] = brand;
+    const model = microdataProp(product, 'model');
+    if (model) specs['model'] = model;
+
+    for (let prop of product.querySelectorAll('[itemprop="additionalProperty"]')) {
+        const key = microdataProp(prop, 'name');
+        const value = microdataProp(prop, 'value');
+        if (key && value) specs[key.toLowerCase().trim()] = value;
+    }
+    return specs;
+}
+
+function extractSpecTable(site) {
+    const selectors = SiteRegistry.selectorsFor(SiteRegistry.get(site), 'specs');
+    const specs = {};
+
+    for (let selector of selectors) {
+        for (let block of document.querySelectorAll(selector)) {
+            for (let row of block.querySelectorAll('tr')) {
+                const cells = row.querySelectorAll('th, td');
+                if (cells.length < 2) continue;
+                const key = (cells[0].textContent || '').toLowerCase().replace(/\s+/g, ' ').trim();
+                const value = (cells[cells.length - 1].textContent || '').replace(/\s+/g, ' ').trim();
+                if (key && value && !(key in specs)) specs[key] = value;
+            }
+        }
+    }
+    return specs;
+}
+
+function collectSpecs(site, seoSpecs, seoSource = 'json-ld') {
+    const specs = {};
+    for (let [key, value] of Object.entries(seoSpecs || {})) specs[key] = { value, source: seoSource };
+    for (let [key, value] of Object.entries(extractSpecTable(site))) {
+        if (!(key in specs)) specs[key] = { value, source: 'spec-table' };
+    }
+    if (Object.keys(specs).length) console.log(`📋 ${Object.keys(specs).length} spec fields found`);
+    return specs;
+}
+
+// Breadcrumb trail (generic -> specific) from JSON-LD BreadcrumbList or the DOM
+function extractBreadcrumbs(site) {
+    for (let script of document.querySelectorAll('script[type="application/ld+json"]')) {
+        try {
+            const data = JSON.parse(script.textContent);
+            for (let item of (Array.isArray(data) ? data : [data])) {
+                if (item['@type'] === 'BreadcrumbList' && Array.isArray(item.itemListElement)) {
+                    return item.itemListElement
+                        .sort((a, b) => (a.position || 0) - (b.position || 0))
+                        .map(el => el.name || el.item?.name || '')
+                        .filter(Boolean);
+                }
+            }
+        } catch (e) {
+            continue;
+        }
+    }
+
+    const selectors = SiteRegistry.selectorsFor(SiteRegistry.get(site), 'breadcrumbs');
+    for (let selector of selectors) {
+        const crumbs = Array.from(document.querySelectorAll(selector))
+            .map(el => (el.textContent || '').trim())
+            .filter(Boolean);
+        if (crumbs.length) return crumbs;
+    }
+    return [];
+}
+
+// =========================================================
+// 6. UNIVERSAL FEATURE EXTRACTOR (USES SEO FIRST)
+// =========================================================
+// Schema-driven encoding (mirrors encode_features() in backend/model.py)
+function encodeFeatures(raw, schema) {
+    return schema.features.map(feature => {
+        let value = raw[feature.name];
+        if (value === undefined || value === null) value = feature.default;
+        if (feature.encoding === 'category') {
+            let idx = feature.categories.indexOf(value);
+            if (idx < 0) idx = feature.categories.indexOf(feature.default);
+            return idx / feature.scale;
+        }
+        return Math.min(Math.max(Number(value) / feature.max, 0), 1);
+    });
+}
+
+// corrections: { feature: value } the user made for this product earlier
+async function extractFeatures({ live = false, corrections = {} } = {}) {
+    const site = detectSite();
+    if (!site) return null;
+    
+    const adapter = SiteRegistry.get(site);
+    
+    // Check if we're on a product page
+    if (!adapter.productPagePattern.test(window.location.pathname)) {
+        return null;
+    }
+    
+    console.log(`🔍 Analyzing ${adapter.label} product page...`);
+    
+    // TRY SEO METADATA FIRST (More Reliable)
+    let productData = extractFromSEOMetadata(site);
+    
+    // FALLBACK TO DOM SCRAPING (unless the adapter opts out of it)
+    if (!productData && adapter.extraction.includes('dom')) {
+        productData = await extractFromDOM(site);
+    }
+
+    // Selector drift shows up here long before the metadata goes away
+    const health = SiteRegistry.checkHealth(adapter);
+    if (!health.ok) console.warn(`🩺 ${adapter.label} selectors no longer match: ${health.missing.join(', ')}`);
+    SiteRegistry.recordHealth(site, health);
+    
+    if (!productData || !productData.listing) {
+        console.warn('❌ Could not extract product data');
+        return null;
+    }
+
+    // Re-audits trust the price on screen, metadata is often not updated
+    // when a variant is picked or the price changes in place
+    if (live) {
+        const current = readLivePrice(adapter);
+        if (current && current.listing && current.listing.amount !== productData.listing.amount) {
+            console.log(`🔴 Live price ${current.text} differs from ${productData.method} metadata`);
+            productData = { ...productData, listing: current.listing, method: 'dom' };
+        }
+    }
+    
+    // Models are trained on base-currency (INR) prices
+    const { name, listing } = productData;
+    await Currency.loadRates();
+    const price = Currency.toBase(listing.amount, listing.currency);
+    if (price === null) {
+        console.warn(`💱 No exchange rate for ${listing.currency}, skipping`);
+        return null;
+    }
+
+    // Which kind of product is this? (skip what we can't classify)
+    const detected = CategoryRegistry.detect({
+        jsonLdCategory: productData.category,
+        breadcrumbs: extractBreadcrumbs(site),
+        name
+    });
+    if (!detected) {
+        console.log('🤷 Unsupported product category, skipping');
+        return null;
+    }
+    const { category } = detected;
+    console.log(`🗂️ Category: ${category.label} (from ${detected.source})`);
+
+    const model = await loadModel(category.id);
+    const specs = collectSpecs(site, productData.specs, productData.method);
+    const { raw, sources } = category.extract(name, price, specs, model.schema);
+    sources.price = productData.method;
+
+    // Features the user corrected for this product earlier win over extraction
+    for (let [feature, value] of Object.entries(corrections)) {
+        raw[feature] = value;
+        sources[feature] = 'user';
+    }
+
+    for (let feature of model.schema.features) {
+        if (!sources[feature.name]) sources[feature.name] = 'default';
+    }
+    console.log('🧾 Features:', raw);
+    
+    console.log(`✅ Feature vector created successfully`);
+    return {
+        site,
+        name,
+        listing,
+        health,
+        category,
+        model,
+        raw,
+        sources,
+        features: encodeFeatures(raw, model.schema)
+    };
+}
+
+// =========================================================
+// 7. MATH ENGINE (Tiny-VAE Logic)
+// =========================================================
+// Layers run in ModelExecutor (model_manifest.js); this is the sampling side
+const MathOps = {
+    // Deterministic PRNG (mulberry32) so re-audits of the same input agree
+    seededRandom: (seed) => {
+        let a = seed >>> 0;
+        return () => {
+            a = (a + 0x6D2B79F5) >>> 0;
+            let t = a;
+            t = Math.imul(t ^ (t >>> 15), t | 1);
+            t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+            return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+        };
+    },
+
+    // Standard normal via Box-Muller
+    gaussian: (random) => {
+        const u = 1 - random(), v = random();
+        return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v);
+    },
+
+    // FNV-1a over the rounded vector
+    hashVector: (vector) => {
+        let h = 0x811C9DC5;
+        for (let ch of vector.map(v => v.toFixed(6)).join(',')) {
+            h ^= ch.charCodeAt(0);
+            h = Math.imul(h, 0x01000193);
+        }
+        return h >>> 0;
+    },
+
+    quantile: (sorted, q) => {
+        const pos = (sorted.length - 1) * q;
+        const lo = Math.floor(pos), hi = Math.ceil(pos);
+        return sorted[lo] + (sorted[hi] - sorted[lo]) * (pos - lo);
+    }
+};
+
+// =========================================================
+// 8. AI MODEL CLASS
+// =========================================================
+// Whatever Tiny-VAE the payload's manifest describes: layer list,
+// activations and the feature schema come with the weights
+class TinyVAE {
+    constructor(category) {
+        this.category = category;
+        this.manifest = null;
+        this.schema = null;
+        this.encoder = null;    // ModelExecutors
+        this.decoder = null;
+        this.version = null;
+        this.hash = null;
+        this.loaded = false;
+    }
+
+    // Pre-manifest payloads run with the bundled schema
+    async bundledSchema() {
+        const res = await fetch(chrome.runtime.getURL(CategoryRegistry.schemaFile(this.category)));
+        return res.json();
+    }
+
+    async manifestOf(weights) {
+        return ModelManifest.of(weights, weights.manifest ? null : await this.bundledSchema());
+    }
+
+    // Why these weights can't run here, or null
+    async incompatibility(weights) {
+        return ModelManifest.problem(await this.manifestOf(weights), weights, MODEL_SYNC.MAX_ABS_WEIGHT);
+    }
+
+    async loadBrain() {
+        let model = pinnedModels[this.category];
+        if (model) {
+            const problem = await this.incompatibility(model.weights);
+            if (problem) throw new Error(`Pinned ${this.category} model ${problem}`);
+        } else {
+            console.log(`📡 Syncing Global ${this.category} Model...`);
+            model = await ModelSync.getGlobalModel({ category: this.category });
+
+            const problem = await this.incompatibility(model.weights);
+            if (problem) {
+                console.warn(`⚠️ Global model v${model.version} ${problem}`);
+                model = await ModelSync.loadBundled(this.category);
+            }
+        }
+
+        this.manifest = await this.manifestOf(model.weights);
+        this.schema = this.manifest.schema;
+        const { encoder, decoder } = this.manifest.networks;
+        this.encoder = new ModelExecutor(encoder, model.weights.encoder, this.schema.features.length);
+        this.decoder = new ModelExecutor(decoder, model.weights.decoder, this.encoder.width(encoder.outputs[0]));
+
+        this.version = model.version;
+        this.hash = model.hash;
+        this.loaded = true;
+        console.log(`🧠 Global ${this.category} Model v${model.version} Loaded (${model.source})`);
+    }
+
+    // Fair value of the price feature, in currency units
+    priceOf(vector) {
+        const idx = this.schema.price_index;
+        return vector[idx] * this.schema.features[idx].max;
+    }
+
+    // Batched encoder pass, one row per product:
+    // { mean, logvar } as Float32Arrays of rows x latent (reused buffers)
+    encodeBatch(batch) {
+        const width = this.schema.features.length;
+        const input = this.encoder.inputs(batch.length);
+        batch.forEach((features, r) => input.set(features, r * width));
+
+        const [mean, logvar] = this.manifest.networks.encoder.outputs;
+        const outputs = this.encoder.run(batch.length);
+        return { mean: outputs[mean], logvar: outputs[logvar] };
+    }
+
+    // Decodes the `rows` latent rows already written to this.decoder.inputs(rows)
+    decodeRows(rows) {
+        return this.decoder.run(rows)[this.manifest.networks.decoder.outputs[0]];
+    }
+
+    // Point reconstruction from z_mean (reconstruction error / training logs)
+    predict(features) {
+        if (!this.loaded) return null;
+        return this.predictBatch([features])[0];
+    }
+
+    predictBatch(batch) {
+        if (!this.loaded) return null;
+        const { mean } = this.encodeBatch(batch);
+        this.decoder.inputs(batch.length).set(mean);
+
+        const width = this.schema.features.length;
+        const decoded = this.decodeRows(batch.length);
+        return batch.map((_, r) => Array.from(decoded.subarray(r * width, (r + 1) * width)));
+    }
+
+    // Fair-price distribution in currency units: decodes samples
+    // z = z_mean + eps * exp(z_logvar / 2) and returns
+    // { median, low, high, width, confidence } for the central CONFIG.INTERVAL
+    predictDistribution(features, samples = CONFIG.MC_SAMPLES) {
+        if (!this.loaded) return null;
+        return this.predictDistributionBatch([features], samples)[0];
+    }
+
+    // Every product's samples are decoded in one pass. Each product seeds its
+    // own noise from its vector, so a card on a listing page gets the same
+    // range as its product page.
+    predictDistributionBatch(batch, samples = CONFIG.MC_SAMPLES) {
+        if (!this.loaded) return null;
+
+        const { mean, logvar } = this.encodeBatch(batch);
+        const latent = this.decoder.inputWidth;
+        const zs = this.decoder.inputs(batch.length * samples);
+        batch.forEach((features, b) => {
+            const random = MathOps.seededRandom(MathOps.hashVector(features));
+            for (let s = 0; s < samples; s++) {
+                const row = (b * samples + s) * latent;
+                for (let k = 0; k < latent; k++) {
+                    const std = Math.exp(0.5 * logvar[b * latent + k]);
+                    zs[row + k] = mean[b * latent + k] + std * MathOps.gaussian(random);
+                }
+            }
+        });
+
+        const width = this.schema.features.length;
+        const P = this.schema.price_index;
+        const max = this.schema.features[P].max;
+        const decoded = this.decodeRows(batch.length * samples);
+
+        return batch.map((_, b) => {
+            const prices = new Array(samples);
+            for (let s = 0; s < samples; s++) prices[s] = decoded[(b * samples + s) * width + P] * max;
+            return this.summarize(prices);
+        });
+    }
+
+    summarize(prices) {
+        prices.sort((a, b) => a - b);
+
+        const tail = (1 - CONFIG.INTERVAL) / 2;
+        const median = MathOps.quantile(prices, 0.5);
+        const low = MathOps.quantile(prices, tail);
+        const high = MathOps.quantile(prices, 1 - tail);
+        const width = median > 0 ? (high - low) / median : Infinity;
+        const confidence = width <= CONFIG.CONFIDENCE_WIDTH.HIGH ? 'high'
+            : width <= CONFIG.CONFIDENCE_WIDTH.MEDIUM ? 'medium'
+            : 'low';
+
+        return { median, low, high, width, confidence };
+    }
+}
+
+// One model per product category, loaded the first time it's needed
+const models = {};
+
+// Weights fixed by the caller instead of the synced global model
+// (the batch audit CLI scores pages against a given model_weights.json).
+// model: { weights, version, hash, source } like ModelSync returns
+const pinnedModels = {};
+
+function pinModel(categoryId, model) {
+    pinnedModels[categoryId] = model;
+    delete models[categoryId];
+}
+
+async function loadModel(categoryId) {
+    if (!models[categoryId]) {
+        const model = new TinyVAE(categoryId);
+        const loading = model.loadBrain().then(() => model);
+        // A failed load (offline, bad download) is tried again next time
+        loading.catch(() => {
+            if (models[categoryId] === loading) delete models[categoryId];
+        });
+        models[categoryId] = loading;
+    }
+    return models[categoryId];
+}
+
+// =========================================================
+// 9. SCORING
+// =========================================================
+// Verdict for a product from extractFeatures():
+// { output, error, dist, type } with dist in the base currency
+function scoreProduct(product) {
+    const { model, category, listing } = product;
+    const P = model.schema.price_index;
+    const output = model.predict(product.features);
+    const dist = model.predictDistribution(product.features);
+    const error = Math.abs(product.features[P] - output[P]);
+    const type = verdictType(model, category, dist, Currency.toBase(listing.amount, listing.currency));
+
+    const report = {
+        learning: () => console.log(`🌱 ${category.label} model v${model.version} still learning (verdicts from v${category.minModelVersion})`),
+        uncertain: () => console.log("🤔 Fair-price range too wide for a verdict - model needs more training data for products like this"),
+        overpriced: () => console.warn("🚨 PRICE BIAS DETECTED (Above fair range)"),
+        deal: () => console.log("💎 GOOD DEAL DETECTED (Below fair range)"),
+        fair: () => console.log("✅ FAIR PRICE DETECTED")
+    };
+    report[type]();
+    return { output, error, dist, type };
+}
+
+// Same verdicts for many products (listing cards): one batched Tiny-VAE
+// pass per category model instead of one per product. Results in input order.
+function scoreProducts(products) {
+    const groups = new Map();
+    products.forEach((product, i) => {
+        if (!groups.has(product.model)) groups.set(product.model, []);
+        groups.get(product.model).push(i);
+    });
+
+    const results = new Array(products.length);
+    for (let [model, indices] of groups) {
+        const batch = indices.map(i => products[i].features);
+        const outputs = model.predictBatch(batch);
+        const dists = model.predictDistributionBatch(batch);
+        const P = model.schema.price_index;
+
+        indices.forEach((i, k) => {
+            const { category, listing, features } = products[i];
+            const dist = dists[k];
+            results[i] = {
+                output: outputs[k],
+                error: Math.abs(features[P] - outputs[k][P]),
+                dist,
+                type: verdictType(model, category, dist, Currency.toBase(listing.amount, listing.currency))
+            };
+        });
+    }
+    return results;
+}
+
+// price in the base currency. Young category models only collect data,
+// their verdicts aren't meaningful yet
+function verdictType(model, category, dist, price) {
+    if (model.version < category.minModelVersion) return 'learning';
+    if (dist.confidence === 'low') return 'uncertain';
+    if (price > dist.high) return 'overpriced';
+    if (price < dist.low) return 'deal';
+    return 'fair';
+}
+
+// =========================================================
+// 10. LISTING PAGES (search results, category listings)
+// =========================================================
+// Cards are scored from what the card shows (title, price, spec bullets),
+// see listingPagePattern and the card* selectors in sites.js
+function isListingPage(site) {
+    const adapter = SiteRegistry.get(site);
+    return !!(adapter && adapter.listingPagePattern && adapter.listingPagePattern.test(window.location.pathname));
+}
+
+// First element inside the card that one of the group's selectors finds with text
+function cardElement(adapter, card, group) {
+    for (let selector of SiteRegistry.selectorsFor(adapter, group)) {
+        const element = card.querySelector(selector);
+        if (element && (element.textContent || '').trim()) return element;
+    }
+    return null;
+}
+
+// Spec bullets of the card, from the first cardDetails selector that has any
+function cardDetails(adapter, card) {
+    for (let selector of SiteRegistry.selectorsFor(adapter, 'cardDetails')) {
+        const items = Array.from(card.querySelectorAll(selector))
+            .map(el => el.textContent.replace(/\s+/g, ' ').trim())
+            .filter(Boolean);
+        if (items.length) return items;
+    }
+    return [];
+}
+
+// Product cards under root: [{ element, title, details, listing, priceElement, link, productId }].
+// The first card selector that matches anything wins; cards without a
+// title or a readable price (ads, placeholders) are skipped.
+function readCards(site, root = document) {
+    const adapter = SiteRegistry.get(site);
+    for (let selector of SiteRegistry.selectorsFor(adapter, 'card')) {
+        const elements = Array.from(root.querySelectorAll(selector));
+        if (!elements.length) continue;
+
+        return elements.map(element => {
+            const titleElement = cardElement(adapter, element, 'cardTitle');
+            const priceElement = cardElement(adapter, element, 'cardPrice');
+            if (!titleElement || !priceElement) return null;
+            const listing = Currency.parse(priceElement.textContent, adapter.currency);
+            if (!listing) return null;
+
+            const linkElement = cardElement(adapter, element, 'cardLink') || element.querySelector('a[href]');
+            const link = linkElement && linkElement.getAttribute('href') ? new URL(linkElement.getAttribute('href'), window.location.href) : null;
+            return {
+                element,
+                title: (titleElement.getAttribute('title') || titleElement.textContent).replace(/\s+/g, ' ').trim(),
+                details: cardDetails(adapter, element),
+                listing,
+                priceElement,
+                link: link ? link.href : null,
+                productId: link ? adapter.getProductId(link) : null
+            };
+        }).filter(Boolean);
+    }
+    return [];
+}
+
+// Cards -> products shaped like extractFeatures() returns them (plus card),
+// only for cards whose title names a supported category
+async function extractCardProducts(site, cards) {
+    await Currency.loadRates();
+    const products = [];
+    for (let card of cards) {
+        const detected = CategoryRegistry.detect({ name: card.title });
+        const price = Currency.toBase(card.listing.amount, card.listing.currency);
+        if (!detected || price === null) continue;
+
+        const { category } = detected;
+        const model = await loadModel(category.id);
+        // Spec bullets ("16 GB DDR4 RAM") parse like title text
+        const name = [card.title, ...card.details].join(' | ').toLowerCase();
+        const { raw, sources } = category.extract(name, price, {}, model.schema);
+        sources.price = 'card';
+        for (let feature of model.schema.features) {
+            if (!sources[feature.name]) sources[feature.name] = 'default';
+        }
+
+        products.push({
+            site,
+            card,
+            name,
+            listing: card.listing,
+            category,
+            model,
+            raw,
+            sources,
+            features: encodeFeatures(raw, model.schema)
+        });
+    }
+    return products;
+}
@@ -1,132 +1,237 @@
-const SERVER_URL = "http://localhost:5000";
-
 // 1. UI SETUP
-document.addEventListener('DOMContentLoaded', updateStats);
+document.addEventListener('DOMContentLoaded', () => {
+    updateStats();
+    renderSites();
+    ModelSync.getGlobalModel().then(updateStats);
+});
 document.getElementById('trainBtn').addEventListener('click', runFederatedCycle);
+document.getElementById('optionsLink').addEventListener('click', (e) => {
+    e.preventDefault();
+    chrome.runtime.openOptionsPage();
+});
+document.getElementById('dashboardLink').addEventListener('click', (e) => {
+    e.preventDefault();
+    chrome.tabs.create({ url: chrome.runtime.getURL('dashboard.html') });
+});
+
+// Delete single training log entries from "Browse logs"
+document.getElementById('logList').addEventListener('click', async (e) => {
+    const button = e.target.closest('.log-delete');
+    if (!button) return;
+    button.disabled = true;
+    try {
+        await LogStore.remove([button.dataset.id]);
+    } catch (err) {
+        console.error(err);
+    }
+    renderLogs();
+});
+
+// Tabs logging while the popup is open
+chrome.storage.onChanged.addListener((changes, area) => {
+    if (area === 'local' && changes[LOG_STORE.STORAGE_KEY]) renderLogs();
+});
+
+// Options saved while the popup is open
+Settings.onChange(() => {
+    updateStats();
+    renderSites();
+});
+document.getElementById('dpToggle').addEventListener('change', async (e) => {
+    await Privacy.saveSettings({ ENABLED: e.target.checked });
+    updateStats();
+});
+document.getElementById('autoToggle').addEventListener('change', async (e) => {
+    await Federated.saveSettings({ AUTO_ENABLED: e.target.checked });
+    setTimeout(updateStats, 300);
+});
+document.getElementById('autoInterval').addEventListener('change', async (e) => {
+    await Federated.saveSettings({ INTERVAL_MINUTES: Number(e.target.value) });
+    setTimeout(updateStats, 300);
+});
+
+// Optional storefronts: the checkbox asks for (or drops) the host permission,
+// background.js then (un)registers the content scripts for that site.
+// Built-in storefronts are switched off in the user settings instead.
+document.getElementById('siteList').addEventListener('change', async (e) => {
+    const adapter = SiteRegistry.get(e.target.dataset.site);
+    if (!adapter) return;
+
+    try {
+        e.target.checked = await SiteRegistry.setEnabled(adapter, e.target.checked);
+    } catch (err) {
+        console.error(err);
+        e.target.checked = !e.target.checked;
+    }
+    renderSites();
+});
+
+function formatTime(ts) {
+    return ts ? new Date(ts).toLocaleString() : '—';
+}
+
+function escapeHtml(text) {
+    return String(text).replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[c]);
+}
 
 async function updateStats() {
     // Check how many logs are waiting
-    chrome.storage.local.get({trainingLogs: []}, function(data) {
-        document.getElementById('logCount').innerText = data.trainingLogs.length;
+    renderLogs();
+
+    // Opt-outs from the options page
+    const user = await Settings.get();
+    document.getElementById('sharingInfo').innerText = [
+        user.LOGGING_ENABLED ? '' : 'Price logging is off',
+        user.FEDERATED_ENABLED ? '' : 'Federated contribution is off',
+        user.CONTEXT_SHARING_ENABLED ? 'Regional price comparison is on' : ''
+    ].filter(Boolean).join(' · ');
+
+    // Show the model that is actually in use, not a hard-coded label
+    // (caches from before downloads were verified are ignored)
+    const cached = await ModelSync.readCache();
+    const model = ModelSync.isVerified(cached) ? cached : null;
+    const bundled = model ? null : await ModelSync.readBundled(MODEL_SYNC.DEFAULT_CATEGORY);
+    document.getElementById('modelVer').innerText = model ? `v${model.version}` : `v${bundled.version} (bundled)`;
+    document.getElementById('modelSync').innerText = model && model.syncedAt
+        ? `Last synced ${new Date(model.syncedAt).toLocaleString()} · ${model.hash.substring(0, 8)}`
+        : 'Never synced with server';
+
+    // Other product categories seen so far
+    const others = Object.entries(await ModelSync.readAllCaches())
+        .filter(([category]) => category !== MODEL_SYNC.DEFAULT_CATEGORY)
+        .map(([category, entry]) => `${category} v${entry.version}`);
+    document.getElementById('modelOthers').innerText = others.length ? others.join(' · ') : '';
+
+    // Held-out check of the latest download, and what all clients measured (see model_eval.js)
+    const evaluations = await ModelEvaluation.readAll();
+    document.getElementById('modelEval').innerText = describeEvaluation(evaluations[MODEL_SYNC.DEFAULT_CATEGORY]);
+    ModelEvaluation.fetchQuality().then(quality => {
+        document.getElementById('modelQuality').innerText = describeQuality(quality);
     });
+
+    // A missing signing key, downloads that failed signature or shape checks
+    // (see model_sync.js), or did worse than the model in use on this
+    // device's held-out logs
+    const rejections = Object.entries(await ModelSync.readRejections());
+    const declined = Object.entries(evaluations).filter(([, e]) => !e.accepted);
+    const setup = await ModelSync.setupProblem();
+    document.getElementById('modelWarning').innerText = [
+        setup ? `⛔ Setup error: ${setup}` : '',
+        ...rejections.map(([category, r]) => `⚠️ Rejected ${category} model v${r.version} (${new Date(r.at).toLocaleString()}): ${r.reason}`),
+        ...declined.map(([category, e]) => `📉 Kept ${category} model v${e.baselineVersion}, v${e.version} did worse here: ${e.reason}`)
+    ].filter(Boolean).join('\n');
+
+    // Privacy budget (only meaningful when DP mode is on)
+    const privacy = await Privacy.getSettings();
+    const budget = await Privacy.getBudget();
+    document.getElementById('dpToggle').checked = privacy.ENABLED;
+    document.getElementById('dpBudget').innerText = `ε ${budget.remaining.toFixed(2)} / ${budget.budget}`;
+    document.getElementById('dpInfo').innerText = budget.canUpload
+        ? `${budget.rounds} private rounds so far · δ=${budget.delta}`
+        : 'Budget spent: private uploads are disabled';
+
+    // Background rounds (scheduled by background.js)
+    const settings = await Federated.getSettings();
+    const round = await Federated.getStatus();
+    document.getElementById('autoToggle').checked = settings.AUTO_ENABLED;
+    document.getElementById('autoInterval').value = String(settings.INTERVAL_MINUTES);
+    document.getElementById('lastRound').innerText = formatTime(round.lastRoundAt);
+    document.getElementById('nextRound').innerText = settings.AUTO_ENABLED ? formatTime(round.nextRoundAt) : 'Off';
+    document.getElementById('roundError').innerText = round.lastError ? `Last error: ${round.lastError}` : '';
+}
+
+// Adopted downloads only, declined ones are listed as warnings
+function describeEvaluation(evaluation) {
+    if (!evaluation || !evaluation.accepted) return '';
+    if (!evaluation.candidate) return `v${evaluation.version} adopted unchecked (${evaluation.samples} held-out logs, need ${MODEL_EVAL.MIN_SAMPLES})`;
+
+    const { candidate, baseline } = evaluation;
+    const agreement = candidate.agreement !== null ? ` · agreement ${Math.round(candidate.agreement * 100)}% vs ${Math.round(baseline.agreement * 100)}%` : '';
+    return `Checked v${evaluation.version} vs v${evaluation.baselineVersion} on ${evaluation.samples} held-out logs: error ${candidate.error.toFixed(3)} vs ${baseline.error.toFixed(3)}${agreement}`;
 }
 
-// 2. THE MAIN "FEDERATED CYCLE"
+function describeQuality(quality) {
+    if (!quality) return '';
+    if (!quality.reports) return `No federated quality reports for v${quality.version} yet`;
+
+    const agreement = quality.agreement !== null ? ` · ${Math.round(quality.agreement * 100)}% verdict agreement` : '';
+    return `Federated quality of v${quality.version}: error ${quality.error.toFixed(3)} (previous ${quality.baseline_error.toFixed(3)})${agreement} · ` +
+        `${quality.reports} clients, ${quality.declined} declined`;
+}
+
+async function renderSites() {
+    const health = await SiteRegistry.getHealth();
+    const rows = [];
+
+    for (let adapter of SiteRegistry.adapters) {
+        const enabled = await SiteRegistry.isEnabled(adapter);
+        const check = health[adapter.id];
+        const status = !check ? 'Not visited yet'
+            : check.ok ? `✅ Selectors OK · ${formatTime(check.checkedAt)}`
+            : `⚠️ No match for ${check.missing.join(', ')} · ${formatTime(check.checkedAt)}`;
+
+        rows.push(`
+            <label class="toggle">
+                <input type="checkbox" data-site="${adapter.id}" ${enabled ? 'checked' : ''}>
+                ${adapter.label}${adapter.builtIn ? ' (built-in)' : ''}
+            </label>
+            <div class="site-health">${status}</div>`);
+    }
+    document.getElementById('siteList').innerHTML = rows.join('');
+}
+
+// Newest first; older entries may lack the product / listing details
+async function renderLogs() {
+    const logs = (await LogStore.list()).reverse();
+    document.getElementById('logCount').innerText = logs.length;
+    const heldOut = logs.filter(log => ModelEvaluation.isHeldOut(log)).length;
+    document.getElementById('heldOutInfo').innerText = heldOut ? `${heldOut} kept on this device to check new models` : '';
+
+    const labels = { OVERPRICED_BIAS: 'Overpriced', UNDERPRICED_DEAL: 'Deal', USER_CORRECTION: 'Correction' };
+    document.getElementById('logList').innerHTML = logs.map(log => {
+        const details = [
+            formatTime(Date.parse(log.timestamp)),
+            log.listing ? Currency.format(log.listing.amount, log.listing.currency) : '',
+            log.extraction ? `via ${log.extraction.method}` : ''
+        ].filter(Boolean).join(' · ');
+        return `
+            <div class="log-row">
+                <div>
+                    ${escapeHtml(log.site || 'unknown site')} · ${escapeHtml(log.category || MODEL_SYNC.DEFAULT_CATEGORY)} · ${labels[log.type] || escapeHtml(log.type)}
+                    ${log.product_id ? `<div class="site-health">${escapeHtml(log.product_id)}</div>` : ''}
+                    <div class="site-health">${escapeHtml(details)}</div>
+                </div>
+                <button class="log-delete" data-id="${escapeHtml(LogStore.idOf(log))}" title="Delete this entry" aria-label="Delete this entry">×</button>
+            </div>`;
+    }).join('') || '<div class="site-health">No logs yet</div>';
+}
+
+// 2. THE MAIN "FEDERATED CYCLE" (shared with background.js, see federated.js)
 async function runFederatedCycle() {
     const btn = document.getElementById('trainBtn');
     const status = document.getElementById('status');
-    
-    // Check logs first
-    const storage = await chrome.storage.local.get({trainingLogs: []});
-    const logs = storage.trainingLogs;
-
-    if (logs.length === 0) {
-        status.innerText = "⚠️ No data to train on!";
-        status.style.color = "orange";
-        return;
-    }
 
     btn.disabled = true;
-    status.innerText = "⏳ Training Local Model...";
+    status.style.color = "";
 
     try {
-        // A. Load Current Weights (from Server or Cache)
-        let weights = await fetchGlobalWeights();
-        
-        // B. Calculate Gradients (The "Math" Step)
-        // We calculate how much to change the weights to match the real prices
-        let updatedDecoder = trainOnLogs(weights, logs);
-
-        // C. Send Update to Server
-        status.innerText = "🚀 Sending Update to Server...";
-        const response = await fetch(`${SERVER_URL}/send-update`, {
-            method: 'POST',
-            headers: {'Content-Type': 'application/json'},
-            body: JSON.stringify({ decoder: updatedDecoder })
+        const result = await Federated.runRound({
+            onProgress: (msg) => { status.innerText = "⏳ " + msg; }
         });
 
-        const resData = await response.json();
-        
-        if (resData.status === 'success' || resData.status === 'accepted') {
+        if (result.status === 'skipped') {
+            status.innerText = "⚠️ " + result.message;
+            status.style.color = "orange";
+        } else {
             status.innerText = "✅ Federated Update Complete!";
             status.style.color = "green";
-            
-            // D. Clear Logs (We successfully learned)
-            chrome.storage.local.set({trainingLogs: []});
-            updateStats();
-        } else {
-            throw new Error(resData.message);
         }
-
     } catch (e) {
         console.error(e);
         status.innerText = "❌ Error: " + e.message;
         status.style.color = "red";
     } finally {
+        updateStats();
         setTimeout(() => { btn.disabled = false; }, 2000);
     }
 }
-
-// 3. HELPER: FETCH WEIGHTS
-async function fetchGlobalWeights() {
-    try {
-        // Try Server First
-        const res = await fetch(`${SERVER_URL}/get-global-model`);
-        return await res.json();
-    } catch (e) {
-        // Fallback to local file
-        const url = chrome.runtime.getURL('model_weights.json');
-        const res = await fetch(url);
-        return await res.json();
-    }
-}
-
-// 4. MATH ENGINE: SIMPLE GRADIENT DESCENT (Pure JS)
-function trainOnLogs(currentWeights, logs) {
-    // We only update the DECODER (Generative Part)
-    // Structure: decoder[layer_index][neuron_index]
-    
-    // Deep copy weights to avoid mutating original
-    let newDecoder = JSON.parse(JSON.stringify(currentWeights.decoder));
-    const LEARNING_RATE = 0.05; 
-
-    logs.forEach(log => {
-        // Feature Vector: [Type, Brand, RAM, Price]
-        const targetPrice = log.features[3]; // The REAL price (0-1)
-        
-        // We perform a simplified update:
-        // We want the model to output 'targetPrice' instead of whatever it predicted.
-        // We nudge the FINAL layer weights towards this target.
-        
-        // Final Layer is Index 4 (Weights) and 5 (Bias) in our TinyVAE
-        // (Assuming typical Dense Layer structure: W, B, W, B...)
-        // For Hackathon simplicity, we apply a "Global Bias Shift" to the final layer
-        
-        const finalLayerIdx = 4; 
-        const weights = newDecoder[finalLayerIdx]; 
-        
-        // "Nudge" logic
-        // If Real > Pred, we increase weights slightly
-        // If Real < Pred, we decrease weights slightly
-        const direction = (log.type === "OVERPRICED_BIAS") ? -1 : 1; 
-        // Note: Logic inversion? 
-        // If OVERPRICED (Bias), we actually want the model to stay STABLE (don't learn the bias).
-        // If UNDERPRICED (Good Deal), we want the model to LEARN it (Lower the fair price).
-        
-        // CORRECT HACKATHON LOGIC:
-        // 1. If it's a "Good Deal" (Underpriced), we train the model to lower its expectation.
-        if (log.type === "UNDERPRICED_DEAL") {
-            for(let i=0; i<weights.length; i++) {
-                for(let j=0; j<weights[i].length; j++) {
-                    // Nudge weight down slightly
-                    weights[i][j] -= (LEARNING_RATE * 0.001); 
-                }
-            }
-        }
-        // 2. If it's "Overpriced", we usually IGNORE it in training 
-        // (Robustness against Poisoning), or we train with a very small rate.
-        // For demo, let's just train on Good Deals to prove the "Price Drop" works.
-    });
-
-    return newDecoder;
-}
\ No newline at end of file
@@ -0,0 +1,221 @@
+// =========================================================
+// PER-PRODUCT PRICE HISTORY (chrome.storage.local)
+// =========================================================
+// One storage key per product ("ph:<site>:<productId>") so recording a
+// page view only rewrites that product's history, never the whole store.
+// Every audit is one observation; dashboard.html lists, exports and
+// imports them. An index (INDEX_KEY: { key: { last, count } }) keeps the
+// store within the storage quota without reading every history:
+//   - products not seen for RETENTION_DAYS go
+//   - then the least recently seen, while there are more than MAX_PRODUCTS
+//     or MAX_TOTAL_OBSERVATIONS in all
+// Like the training logs (see log_store.js), all writes run in the service
+// worker one after another, so two tabs and an import can't overwrite each
+// other's read-modify-write.
+const PRICE_HISTORY = {
+    KEY_PREFIX: 'ph:',
+    INDEX_KEY: 'priceHistoryIndex',
+    MESSAGE: 'priceHistory',
+    MAX_OBSERVATIONS: 500,          // per product
+    MAX_PRODUCTS: 2000,
+    MAX_TOTAL_OBSERVATIONS: 20000,  // ~5 MB of the 10 MB storage.local quota
+    RETENTION_DAYS: 365
+};
+
+const PriceHistory = {
+    isWriter: false,    // true in the service worker (see serve())
+    queue: Promise.resolve(),
+
+    keyFor(site, productId) {
+        return `${PRICE_HISTORY.KEY_PREFIX}${site}:${productId}`;
+    },
+
+    // =========================================================
+    // 1. WRITING (through the service worker)
+    // =========================================================
+    // observation: { price, fair, low, high, currency, error, type, modelVersion,
+    // mrp, urgency }, prices in the page's currency; type is the verdict,
+    // mrp and urgency ({ timer, scarcity }) the page's discount claims (see
+    // dark_patterns.js). details: { url, category } of the product page.
+    // Returns the updated entry.
+    record(site, productId, name, observation, details = {}) {
+        return this.write('record', [site, productId, name, observation, details]);
+    },
+
+    // Merges exported entries into the stored histories (observations at the
+    // same time are the same audit). Returns { products, observations } added.
+    importEntries(entries) {
+        return this.write('importEntries', [entries]);
+    },
+
+    // Returns how many products were removed
+    clear() {
+        return this.write('clear', []);
+    },
+
+    async write(op, args) {
+        if (this.isWriter) return this.enqueue(op, args);
+        const response = await chrome.runtime.sendMessage({ type: PRICE_HISTORY.MESSAGE, op, args });
+        if (!response || response.error) throw new Error(response ? response.error : 'Price history unavailable');
+        return response.result;
+    },
+
+    enqueue(op, args) {
+        const run = this.queue.then(() => this.ops[op].apply(this, args));
+        this.queue = run.catch(() => {});
+        return run;
+    },
+
+    async readIndex() {
+        const data = await chrome.storage.local.get({ [PRICE_HISTORY.INDEX_KEY]: null });
+        if (data[PRICE_HISTORY.INDEX_KEY]) return data[PRICE_HISTORY.INDEX_KEY];
+
+        // Histories stored before there was an index: read them once
+        const index = {};
+        for (let entry of await this.getAll()) index[this.keyFor(entry.site, entry.productId)] = this.indexOf(entry);
+        return index;
+    },
+
+    indexOf(entry) {
+        const last = entry.observations[entry.observations.length - 1];
+        return { last: last ? last.t : 0, count: entry.observations.length };
+    },
+
+    // Writes the changed entries ({ key: entry }) and evicts what no longer fits
+    async store(changed) {
+        const index = await this.readIndex();
+        for (let key in changed) index[key] = this.indexOf(changed[key]);
+
+        const cutoff = Date.now() - PRICE_HISTORY.RETENTION_DAYS * 24 * 60 * 60 * 1000;
+        const byAge = Object.keys(index).sort((a, b) => index[a].last - index[b].last);
+        let products = byAge.length;
+        let total = byAge.reduce((sum, key) => sum + index[key].count, 0);
+        const evicted = [];
+        for (let key of byAge) {
+            if (index[key].last >= cutoff && products <= PRICE_HISTORY.MAX_PRODUCTS && total <= PRICE_HISTORY.MAX_TOTAL_OBSERVATIONS) break;
+            evicted.push(key);
+            products--;
+            total -= index[key].count;
+            delete index[key];
+            delete changed[key];
+        }
+
+        await chrome.storage.local.set({ ...changed, [PRICE_HISTORY.INDEX_KEY]: index });
+        if (evicted.length) await chrome.storage.local.remove(evicted);
+    },
+
+    ops: {
+        async record(site, productId, name, observation, details) {
+            const key = this.keyFor(site, productId);
+            const entry = (await this.get(site, productId)) || { site, productId, name, observations: [] };
+
+            entry.name = name || entry.name;
+            Object.assign(entry, details);
+            entry.observations.push({ t: Date.now(), ...observation });
+            if (entry.observations.length > PRICE_HISTORY.MAX_OBSERVATIONS) {
+                entry.observations = entry.observations.slice(-PRICE_HISTORY.MAX_OBSERVATIONS);
+            }
+
+            await this.store({ [key]: entry });
+            return entry;
+        },
+
+        // One write for all entries
+        async importEntries(entries) {
+            const result = { products: 0, observations: 0 };
+            const changed = {};
+            for (let imported of entries) {
+                if (!imported || typeof imported.site !== 'string' || !imported.productId || !Array.isArray(imported.observations)) continue;
+                const valid = imported.observations.filter(o => o && Number.isFinite(o.t) && o.price > 0 && typeof o.currency === 'string');
+                if (!valid.length) continue;
+
+                const key = this.keyFor(imported.site, imported.productId);
+                const { site, productId, name, url, category } = imported;
+                const stored = changed[key] || (await this.get(site, productId));
+                const entry = stored || { site, productId, name, url, category, observations: [] };
+                const seen = new Set(entry.observations.map(o => o.t));
+                const added = valid.filter(o => !seen.has(o.t));
+                if (!added.length) continue;
+
+                if (!stored) result.products++;
+                entry.observations = entry.observations.concat(added)
+                    .sort((a, b) => a.t - b.t)
+                    .slice(-PRICE_HISTORY.MAX_OBSERVATIONS);
+                result.observations += added.length;
+                changed[key] = entry;
+            }
+            if (Object.keys(changed).length) await this.store(changed);
+            return result;
+        },
+
+        async clear() {
+            const keys = Object.keys(await this.readIndex());
+            await chrome.storage.local.remove([...keys, PRICE_HISTORY.INDEX_KEY]);
+            return keys.length;
+        }
+    },
+
+    // Called once by background.js
+    serve() {
+        this.isWriter = true;
+        chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+            if (!message || message.type !== PRICE_HISTORY.MESSAGE || !this.ops[message.op]) return false;
+            this.enqueue(message.op, message.args)
+                .then(result => sendResponse({ result }))
+                .catch(e => sendResponse({ error: e.message }));
+            return true;    // respond asynchronously
+        });
+    },
+
+    // =========================================================
+    // 2. READING (any context)
+    // =========================================================
+    async get(site, productId) {
+        const key = this.keyFor(site, productId);
+        const data = await chrome.storage.local.get({ [key]: null });
+        return data[key];
+    },
+
+    async getAll() {
+        const data = await chrome.storage.local.get(null);
+        return Object.keys(data)
+            .filter(k => k.startsWith(PRICE_HISTORY.KEY_PREFIX))
+            .map(k => data[k]);
+    },
+
+    // =========================================================
+    // 3. DISPLAY
+    // =========================================================
+    // { min, max, first, last, count } over listing prices
+    summarize(entry) {
+        const prices = entry.observations.map(o => o.price);
+        return {
+            min: Math.min(...prices),
+            max: Math.max(...prices),
+            first: entry.observations[0],
+            last: entry.observations[entry.observations.length - 1],
+            count: prices.length
+        };
+    },
+
+    // Small inline SVG: listing price (solid) vs model estimate (dashed)
+    renderChart(entry, { width = 280, height = 70, color = '#2d3436' } = {}) {
+        const obs = entry.observations;
+        if (obs.length < 2) return '';
+
+        const values = obs.flatMap(o => [o.price, o.fair]).filter(v => v > 0);
+        const lo = Math.min(...values), hi = Math.max(...values);
+        const span = hi - lo || 1;
+        const pad = 4;
+        const x = (i) => pad + (i / (obs.length - 1)) * (width - 2 * pad);
+        const y = (v) => height - pad - ((v - lo) / span) * (height - 2 * pad);
+        const path = (field) => obs.map((o, i) => `${i === 0 ? 'M' : 'L'}${x(i).toFixed(1)},${y(o[field]).toFixed(1)}`).join(' ');
+
+        return `
+            <svg width="${width}" height="${height}" viewBox="0 0 ${width} ${height}" aria-hidden="true">
+                <path d="${path('fair')}" fill="none" stroke="#b2bec3" stroke-width="1.5" stroke-dasharray="4 3"/>
+                <path d="${path('price')}" fill="none" stroke="${color}" stroke-width="2"/>
+                <circle cx="${x(obs.length - 1).toFixed(1)}" cy="${y(obs[obs.length - 1].price).toFixed(1)}" r="3" fill="${color}"/>
+            </svg>`;
+    }
+};
@@ -0,0 +1,97 @@
+// =========================================================
+// DIFFERENTIAL PRIVACY FOR CLIENT UPDATES
+// =========================================================
+// Optional DP mode for federated uploads:
+//   1. delta = trained decoder - global decoder
+//   2. clip delta to L2 norm CLIP_NORM (bounds one install's influence)
+//   3. add N(0, (NOISE_MULTIPLIER * CLIP_NORM)^2) to every coordinate
+// Each upload is a Gaussian mechanism with rho = 1 / (2 * z^2) in zero-
+// concentrated DP (Bun & Steinke 2016). rho adds up across rounds and is
+// converted to (epsilon, delta) with eps = rho + 2 * sqrt(rho * ln(1/delta)).
+const PRIVACY_DEFAULTS = {
+    ENABLED: false,
+    CLIP_NORM: 0.1,
+    NOISE_MULTIPLIER: 2.0,
+    EPSILON_BUDGET: 10.0,
+    DELTA: 1e-5
+};
+
+const Privacy = {
+    async getSettings() {
+        const data = await chrome.storage.local.get({ privacySettings: {} });
+        return { ...PRIVACY_DEFAULTS, ...data.privacySettings };
+    },
+
+    async saveSettings(changes) {
+        const current = await this.getSettings();
+        await chrome.storage.local.set({ privacySettings: { ...current, ...changes } });
+    },
+
+    async getLedger() {
+        const data = await chrome.storage.local.get({ privacyLedger: { rho: 0, rounds: 0 } });
+        return data.privacyLedger;
+    },
+
+    // --- Accounting ---
+    roundRho(settings) {
+        return 1 / (2 * settings.NOISE_MULTIPLIER * settings.NOISE_MULTIPLIER);
+    },
+
+    epsilonFor(rho, delta) {
+        if (rho <= 0) return 0;
+        return rho + 2 * Math.sqrt(rho * Math.log(1 / delta));
+    },
+
+    // { spent, remaining, budget, rounds, canUpload }
+    async getBudget() {
+        const settings = await this.getSettings();
+        const ledger = await this.getLedger();
+        const spent = this.epsilonFor(ledger.rho, settings.DELTA);
+        const next = this.epsilonFor(ledger.rho + this.roundRho(settings), settings.DELTA);
+        return {
+            spent,
+            remaining: Math.max(0, settings.EPSILON_BUDGET - spent),
+            budget: settings.EPSILON_BUDGET,
+            delta: settings.DELTA,
+            rounds: ledger.rounds,
+            canUpload: next <= settings.EPSILON_BUDGET
+        };
+    },
+
+    async recordRound(settings) {
+        const ledger = await this.getLedger();
+        await chrome.storage.local.set({
+            privacyLedger: { rho: ledger.rho + this.roundRho(settings), rounds: ledger.rounds + 1 }
+        });
+    },
+
+    // --- Mechanism ---
+    gaussian() {
+        // Box-Muller on crypto-grade uniforms (Math.random is not suitable for DP noise)
+        const buf = new Uint32Array(2);
+        crypto.getRandomValues(buf);
+        const u = (buf[0] + 1) / 4294967297;
+        const v = (buf[1] + 1) / 4294967297;
+        return Math.sqrt(-2.0 * Math.log(u)) * Math.cos(2.0 * Math.PI * v);
+    },
+
+    mapPair(a, b, fn) {
+        return Array.isArray(a) ? a.map((x, i) => this.mapPair(x, b[i], fn)) : fn(a, b);
+    },
+
+    squaredNorm(arr) {
+        return Array.isArray(arr) ? arr.reduce((sum, x) => sum + this.squaredNorm(x), 0) : arr * arr;
+    },
+
+    // Returns the decoder to upload: base + clip(delta) + noise
+    privatizeDecoder(baseDecoder, updatedDecoder, settings) {
+        const delta = this.mapPair(updatedDecoder, baseDecoder, (u, b) => u - b);
+        const norm = Math.sqrt(this.squaredNorm(delta));
+        const factor = Math.min(1, settings.CLIP_NORM / (norm + 1e-12));
+        const sigma = settings.NOISE_MULTIPLIER * settings.CLIP_NORM;
+
+        console.log(`🔒 DP: update norm ${norm.toFixed(4)} → clipped to ${(norm * factor).toFixed(4)}, σ=${sigma.toFixed(3)}`);
+
+        return this.mapPair(baseDecoder, delta, (b, d) => b + d * factor + sigma * this.gaussian());
+    }
+};
@@ -0,0 +1,121 @@
+// =========================================================
+// REGIONAL PRICE COMPARISON (Used by content.js)
+// =========================================================
+// Opt-in (Options > Data sharing). Each audit reports the price this user
+// was shown, with coarse context only:
+//   region      postal zone of the delivery pincode + metro/other, e.g.
+//               'south-metro' (the pincode itself never leaves the page)
+//   device      'desktop' | 'mobile' | 'tablet'
+//   account     'guest' | 'signed_in'
+//   membership  'member' | 'none' (Prime / Plus)
+// Anything that can't be detected is null. No client ID is sent: the server
+// counts clients by network address and answers with rounded price ranges
+// per region, only for regions with enough distinct clients (k-anonymity),
+// see /regional-prices in backend/server.py.
+// Requires settings.js and sites.js.
+const REGIONAL = {
+    TIMEOUT_MS: 3000,
+    // First pincode digit = postal zone
+    ZONES: { 1: 'north', 2: 'north', 3: 'west', 4: 'west', 5: 'south', 6: 'south', 7: 'east', 8: 'east' },
+    // First three digits of the metro cities' sorting districts
+    METRO_PREFIXES: ['110', '400', '560', '600', '700', '500', '411', '380']
+};
+
+// =========================================================
+// 1. CONTEXT DETECTION
+// =========================================================
+const ShoppingContext = {
+    // First element of the adapter's selector group with text (or a value)
+    read(adapter, group) {
+        for (let selector of SiteRegistry.selectorsFor(adapter, group)) {
+            const el = document.querySelector(selector);
+            const text = el && (el.value || el.getAttribute('aria-label') || el.getAttribute('alt') || el.textContent || '').trim();
+            if (text) return text;
+        }
+        return null;
+    },
+
+    // "Deliver to Chennai 600001" -> 'south-metro'
+    regionOf(text) {
+        const pincode = (String(text || '').match(/\b([1-8]\d{5})\b/) || [])[1];
+        if (!pincode) return null;
+        const kind = REGIONAL.METRO_PREFIXES.includes(pincode.substring(0, 3)) ? 'metro' : 'other';
+        return `${REGIONAL.ZONES[pincode[0]]}-${kind}`;
+    },
+
+    device() {
+        const ua = navigator.userAgent;
+        if (/iPad|Tablet/i.test(ua) || (/Android/i.test(ua) && !/Mobile/i.test(ua))) return 'tablet';
+        if ((navigator.userAgentData && navigator.userAgentData.mobile) || /Mobi|iPhone|Android/i.test(ua)) return 'mobile';
+        return 'desktop';
+    },
+
+    // The account link reads "Hello, sign in" / "Login" for guests
+    account(adapter) {
+        const text = this.read(adapter, 'account');
+        if (!text || !adapter.guestPattern) return null;
+        return adapter.guestPattern.test(text) ? 'guest' : 'signed_in';
+    },
+
+    // Membership badges only render for members; guests can't be members
+    membership(adapter, account) {
+        if (account === 'guest') return 'none';
+        if (this.read(adapter, 'membership')) return 'member';
+        return account === 'signed_in' ? 'none' : null;
+    },
+
+    // Regions are Indian postal zones: other storefronts report none
+    detect(adapter) {
+        const account = this.account(adapter);
+        return {
+            region: adapter.currency === 'INR' ? this.regionOf(this.read(adapter, 'pincode')) : null,
+            device: this.device(),
+            account,
+            membership: this.membership(adapter, account)
+        };
+    }
+};
+
+// =========================================================
+// 2. SERVER
+// =========================================================
+const RegionalPrices = {
+    async request(path, init = {}) {
+        const controller = new AbortController();
+        const timer = setTimeout(() => controller.abort(), REGIONAL.TIMEOUT_MS);
+        try {
+            const res = await fetch(`${await Settings.serverUrl()}${path}`, { ...init, signal: controller.signal, cache: 'no-store' });
+            if (!res.ok) throw new Error(`HTTP ${res.status}`);
+            return await res.json();
+        } finally {
+            clearTimeout(timer);
+        }
+    },
+
+    // price in the base currency
+    async report(site, productId, price, context) {
+        return this.request('/report-price', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ site, product_id: productId, price, context })
+        });
+    },
+
+    // [{ value: region, clients, low, median, high }] in the base currency
+    async query(site, productId) {
+        const params = new URLSearchParams({ site, product_id: productId, group_by: 'region' });
+        return (await this.request(`/regional-prices?${params}`)).groups;
+    },
+
+    // Range across every region but the user's own: { low, high, regions }
+    // or null when no other region passed the threshold
+    othersRange(groups, region) {
+        const others = groups.filter(g => g.value !== region);
+        if (!others.length) return null;
+        return {
+            low: Math.min(...others.map(g => g.low)),
+            high: Math.max(...others.map(g => g.high)),
+            regions: others.length
+        };
+    }
+};
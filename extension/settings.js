@@ -0,0 +1,109 @@
+// =========================================================
+// USER SETTINGS (Shared by content.js, popup.js, options.js and background.js)
+// =========================================================
+// Everything the options page edits. Kept in chrome.storage.sync so the
+// choices follow the user's Chrome profile; readers call Settings.get()
+// when they need a value and Settings.onChange() to react to edits made
+// while they are running, nothing is cached for the session.
+const SETTINGS_DEFAULTS = {
+    SERVER_URL: 'http://localhost:5000',
+    // Price reconstruction error above which an audit is logged for training
+    THRESHOLD: 0.005,
+    // Central share of the fair-price distribution that counts as fair
+    INTERVAL: 0.90,
+    // Interval width relative to the median for high / medium confidence
+    CONFIDENCE_HIGH: 0.2,
+    CONFIDENCE_MEDIUM: 0.5,
+    LOGGING_ENABLED: true,
+    // Verdict badges on search results and category listings
+    LISTING_BADGES_ENABLED: true,
+    FEDERATED_ENABLED: true,
+    // Report prices with coarse context (region, device, account) to compare regions, opt-in
+    CONTEXT_SHARING_ENABLED: false,
+    DISABLED_SITES: []
+};
+
+const SETTINGS_KEY = 'userSettings';
+
+const Settings = {
+    async get() {
+        const data = await chrome.storage.sync.get({ [SETTINGS_KEY]: {} });
+        return { ...SETTINGS_DEFAULTS, ...data[SETTINGS_KEY] };
+    },
+
+    // Throws on the first invalid value, naming the setting
+    validate(settings) {
+        let url;
+        try {
+            url = new URL(settings.SERVER_URL);
+        } catch (e) {
+            throw new Error(`SERVER_URL: "${settings.SERVER_URL}" is not a URL`);
+        }
+        if (!['http:', 'https:'].includes(url.protocol)) throw new Error('SERVER_URL: must be http or https');
+
+        const inRange = (name, min, max) => {
+            const value = settings[name];
+            if (typeof value !== 'number' || !(value > min && value < max)) {
+                throw new Error(`${name}: must be between ${min} and ${max}`);
+            }
+        };
+        inRange('THRESHOLD', 0, 1);
+        inRange('INTERVAL', 0, 1);
+        inRange('CONFIDENCE_HIGH', 0, 10);
+        inRange('CONFIDENCE_MEDIUM', 0, 10);
+        if (settings.CONFIDENCE_HIGH > settings.CONFIDENCE_MEDIUM) {
+            throw new Error('CONFIDENCE_HIGH: must not be wider than CONFIDENCE_MEDIUM');
+        }
+        if (!Array.isArray(settings.DISABLED_SITES)) throw new Error('DISABLED_SITES: must be a list of site IDs');
+    },
+
+    async save(changes) {
+        const next = { ...(await this.get()), ...changes };
+        this.validate(next);
+        next.SERVER_URL = this.normalizeUrl(next.SERVER_URL);
+        await chrome.storage.sync.set({ [SETTINGS_KEY]: next });
+        return next;
+    },
+
+    async reset() {
+        await chrome.storage.sync.remove(SETTINGS_KEY);
+        return { ...SETTINGS_DEFAULTS };
+    },
+
+    // "https://fl.example.com/api/" -> "https://fl.example.com/api"
+    normalizeUrl(url) {
+        return String(url).trim().replace(/\/+$/, '');
+    },
+
+    async serverUrl() {
+        return (await this.get()).SERVER_URL;
+    },
+
+    // GET / on the Flask server answers with its banner.
+    // Returns { ok, message } and never throws.
+    async checkServer(url, timeoutMs = 5000) {
+        const controller = new AbortController();
+        const timer = setTimeout(() => controller.abort(), timeoutMs);
+        try {
+            const res = await fetch(`${this.normalizeUrl(url)}/`, { signal: controller.signal, cache: 'no-store' });
+            if (!res.ok) return { ok: false, message: `HTTP ${res.status}` };
+            const banner = await res.text();
+            return banner.includes('FairMarket')
+                ? { ok: true, message: banner.trim() }
+                : { ok: false, message: 'Not a FairMarket server' };
+        } catch (e) {
+            return { ok: false, message: e.name === 'AbortError' ? 'Timed out' : e.message };
+        } finally {
+            clearTimeout(timer);
+        }
+    },
+
+    // callback(settings) whenever any extension page saves new settings
+    onChange(callback) {
+        chrome.storage.onChanged.addListener((changes, area) => {
+            if (area === 'sync' && changes[SETTINGS_KEY]) {
+                callback({ ...SETTINGS_DEFAULTS, ...changes[SETTINGS_KEY].newValue });
+            }
+        });
+    }
+};
@@ -0,0 +1,245 @@
+// =========================================================
+// SITE ADAPTERS (Shared by content.js, popup.js, options.js and background.js)
+// =========================================================
+// Requires settings.js (sites switched off in Options).
+// Every storefront is one declarative adapter:
+//   id                  key used in logs and price history ('amazon', 'croma', ...)
+//   hosts               hostnames the adapter answers for
+//   builtIn             on by default (manifest content_scripts); otherwise the
+//                       user enables it via optional host permissions
+//   currency            ISO code of the listing prices
+//   productPagePattern  tested against location.pathname
+//   listingPagePattern  search results / category listings (optional), where
+//                       the card* selectors find products to badge
+//   getProductId(url)   stable product ID for price history
+//   extraction          data sources in priority order: 'json-ld', 'microdata',
+//                       'og', 'twitter' and 'dom' (the selectors below)
+//   selectors           { price, title, specs, breadcrumbs }, string or list;
+//                       optionally { pincode, account, membership } for the
+//                       shopping context in regional.js, { mrp, discount,
+//                       dealTimer, scarcity } for the discount and urgency
+//                       checks in dark_patterns.js, and { card, cardTitle,
+//                       cardPrice, cardLink, cardDetails } on listing pages
+//   guestPattern        account link text shown to signed-out visitors
+//   healthCheck         selector groups that must match on every product page
+const SITE_ADAPTERS = {
+    HEALTH_KEY: 'siteHealth',
+    DEFAULT_EXTRACTION: ['json-ld', 'microdata', 'og', 'twitter', 'dom'],
+    DEFAULT_HEALTH_CHECK: ['price', 'title']
+};
+
+// =========================================================
+// 1. ADAPTER DEFINITIONS
+// =========================================================
+// All Amazon storefronts share one page layout, only host and currency differ
+function amazonAdapter(id, label, host, currency, builtIn = false) {
+    return {
+        id,
+        label,
+        hosts: [host],
+        builtIn,
+        currency,
+        productPagePattern: /\/(dp|gp\/product)\//,
+        // /s?k=laptop, /b?node=..., /gp/browse.html?node=...
+        listingPagePattern: /^\/(s|b)\/?$|^\/gp\/browse\.html/,
+        // ASIN: 10 alphanumerics after /dp/ or /gp/product/
+        getProductId: (url) => (url.pathname.match(/\/(?:dp|gp\/product)\/([A-Z0-9]{10})/i) || [])[1]?.toUpperCase() || null,
+        selectors: {
+            price: ['.a-price-whole', '.a-price .a-offscreen'],
+            title: '#productTitle',
+            specs: ['#productDetails_techSpec_section_1', '#productDetails_techSpec_section_2', '#technicalSpecifications_section_1'],
+            breadcrumbs: '#wayfinding-breadcrumbs_feature_div a',
+            pincode: ['#glow-ingress-line2', '#contextualIngressPtLabel_deliveryShortLine'],
+            account: '#nav-link-accountList-nav-line-1',
+            membership: ['#nav-logo-sprites.nav-prime-1', '.nav-prime-tag'],
+            mrp: ['.basisPrice .a-offscreen', '#corePriceDisplay_desktop_feature_div .a-text-price .a-offscreen', '#listPrice', '.priceBlockStrikePriceString'],
+            discount: ['.savingsPercentage', '#corePriceDisplay_desktop_feature_div .savingPriceOverride'],
+            dealTimer: ['#dealBadge_feature_div', '[id^="deal_expiry_timer"]', '#dealBadgeSupportingText'],
+            scarcity: ['#availability .a-color-price', '#availability .a-color-state', '#availability'],
+            card: '[data-component-type="s-search-result"][data-asin]:not([data-asin=""])',
+            cardTitle: ['h2 a span', 'h2 span', 'h2'],
+            cardPrice: ['.a-price:not(.a-text-price) .a-offscreen', '.a-price .a-offscreen'],
+            cardLink: ['h2 a', 'a.a-link-normal[href*="/dp/"]']
+        },
+        guestPattern: /sign in/i
+    };
+}
+
+const BUILT_IN_SITES = [
+    amazonAdapter('amazon', 'Amazon.in', 'www.amazon.in', 'INR', true),
+    {
+        id: 'flipkart',
+        label: 'Flipkart',
+        hosts: ['www.flipkart.com'],
+        builtIn: true,
+        currency: 'INR',
+        productPagePattern: /\/p\//,
+        // /search?q=laptop and category listings like /laptops/pr?sid=...
+        listingPagePattern: /^\/search\/?$|\/pr\/?$/,
+        // pid query param, else the itm... item ID in the path
+        getProductId: (url) => url.searchParams.get('pid')
+            || (url.pathname.match(/\/p\/(itm[a-z0-9]+)/i) || [])[1]
+            || url.searchParams.get('itemId')
+            || null,
+        selectors: {
+            price: ['.hZ3P6w', 'div.hZ3P6w', '.Nx9bqj', '._30jeq3._16Jk6d', '._30jeq3', '._16Jk6d'],
+            title: ['.LMizgS', 'span.LMizgS', '.VU-ZEz', '.B_NuCI', 'span.B_NuCI', 'h1.yhB1nd', 'span.VU-ZEz'],
+            specs: ['._1mKqjD', 'div._1mKqjD', '._2418kt'],
+            breadcrumbs: ['._7dPnhA a', '.r2CdBx a', 'div._1MR4o5 a'],
+            pincode: ['#pincodeInputId', '._1TPvTK'],
+            account: ['a._1_3w1N', '.H6-NpN'],
+            membership: ['img[alt*="Plus" i]', '._3Xlrpf'],
+            mrp: ['.yRaY8j', '._3I9_wc', '._2p6lqe'],
+            discount: ['.UkUFwK', '._3Ay6Sb', '._31Dcoz'],
+            dealTimer: ['._2PDWJu', '.sdfBhN', '._3XINqE'],
+            scarcity: ['._1SgECw', '.Z8JjpR', '._16FRp0'],
+            card: 'div[data-id]',
+            cardTitle: ['.KzDlHZ', '.wjcEIp', '._4rR01T', '.s1Q9rs', '.IRpwTa', 'a[title]'],
+            cardPrice: ['.Nx9bqj', '._30jeq3'],
+            cardLink: 'a[href*="/p/"]',
+            cardDetails: ['ul.G4BRas li', 'ul._1xgFaf li', 'ul li']
+        },
+        guestPattern: /^login$/i
+    }
+];
+
+const OPTIONAL_SITES = [
+    {
+        id: 'croma',
+        label: 'Croma',
+        hosts: ['www.croma.com'],
+        currency: 'INR',
+        // .../apple-macbook-air-m2.../p/300789
+        productPagePattern: /\/p\/\d+/,
+        getProductId: (url) => (url.pathname.match(/\/p\/(\d+)/) || [])[1] || null,
+        selectors: {
+            price: ['#pdp-product-price', '.pdp-price .amount', '.cp-price .amount', 'span.amount'],
+            title: ['h1.pd-title', '.pdp-title h1', 'h1.product-title'],
+            specs: ['#specification_container', '.cp-specification', '.product-specification table'],
+            breadcrumbs: ['.cp-breadcrumb a', 'ul.breadcrumb a']
+        }
+    },
+    {
+        id: 'reliance_digital',
+        label: 'Reliance Digital',
+        hosts: ['www.reliancedigital.in'],
+        currency: 'INR',
+        // .../hp-15s-fq5111tu.../p/493839269
+        productPagePattern: /\/p\/\d+/,
+        getProductId: (url) => (url.pathname.match(/\/p\/(\d+)/) || [])[1] || null,
+        selectors: {
+            price: ['.pdp__offerPrice', '.pdp__priceSection__priceListText span', '.product-price'],
+            title: ['h1.pdp__title', '.pdp__title', 'h1.product-name'],
+            specs: ['.pdp__tab-info', '#specifications', '.specifications-list table'],
+            breadcrumbs: ['.pdp__breadcrumb a', '.breadcrumb a']
+        }
+    },
+    {
+        id: 'vijay_sales',
+        label: 'Vijay Sales',
+        hosts: ['www.vijaysales.com'],
+        currency: 'INR',
+        // New storefront: /p/P230521/..., legacy: /hp-15s-.../21690
+        productPagePattern: /^\/p\/|\/\d{4,}\/?$/,
+        getProductId: (url) => (url.pathname.match(/^\/p\/P?(\d+)/i) || url.pathname.match(/\/(\d{4,})\/?$/) || [])[1] || null,
+        selectors: {
+            price: ['.productFullDetail__productPrice .price', '.product__price--final', '#ContentPlaceHolder1_lblPrice'],
+            title: ['h1.productFullDetail__productName', 'h1.product__title', '#ContentPlaceHolder1_h1ProductTitle'],
+            specs: ['.productFullDetail__specifications table', '.product-specifications table', '#ContentPlaceHolder1_divSpecification table'],
+            breadcrumbs: ['.breadcrumbs a', '.breadcrumb a']
+        }
+    },
+    amazonAdapter('amazon_com', 'Amazon.com', 'www.amazon.com', 'USD'),
+    amazonAdapter('amazon_uk', 'Amazon.co.uk', 'www.amazon.co.uk', 'GBP')
+];
+
+// =========================================================
+// 2. REGISTRY
+// =========================================================
+const SiteRegistry = {
+    adapters: [],
+
+    register(adapter) {
+        this.adapters.push({
+            builtIn: false,
+            extraction: SITE_ADAPTERS.DEFAULT_EXTRACTION,
+            healthCheck: SITE_ADAPTERS.DEFAULT_HEALTH_CHECK,
+            ...adapter
+        });
+    },
+
+    get(id) {
+        return this.adapters.find(a => a.id === id) || null;
+    },
+
+    optional() {
+        return this.adapters.filter(a => !a.builtIn);
+    },
+
+    forHost(hostname) {
+        const host = hostname.toLowerCase();
+        return this.adapters.find(a => a.hosts.includes(host)) || null;
+    },
+
+    // Match patterns for chrome.permissions / chrome.scripting
+    originsFor(adapter) {
+        return adapter.hosts.map(host => `*://${host}/*`);
+    },
+
+    // Built-in sites are on unless switched off in Options, optional ones
+    // need their host permission
+    async isEnabled(adapter) {
+        if ((await Settings.get()).DISABLED_SITES.includes(adapter.id)) return false;
+        if (adapter.builtIn) return true;
+        return chrome.permissions.contains({ origins: this.originsFor(adapter) });
+    },
+
+    // Called from a checkbox click: the permission prompt has to come first,
+    // while Chrome still counts it as a user gesture. Returns the new state.
+    async setEnabled(adapter, enabled) {
+        if (!adapter.builtIn) {
+            const origins = this.originsFor(adapter);
+            if (enabled && !(await chrome.permissions.request({ origins }))) return false;
+            if (!enabled) return !(await chrome.permissions.remove({ origins }));
+        }
+        const disabled = new Set((await Settings.get()).DISABLED_SITES);
+        if (enabled) disabled.delete(adapter.id);
+        else disabled.add(adapter.id);
+        await Settings.save({ DISABLED_SITES: [...disabled] });
+        return enabled;
+    },
+
+    selectorsFor(adapter, group) {
+        return [].concat(adapter.selectors[group] || []);
+    },
+
+    // Which selector groups still find something on this product page?
+    // Returns { checkedAt, url, ok, missing: [group] }
+    checkHealth(adapter, doc = document) {
+        const missing = adapter.healthCheck.filter(group => !this.selectorsFor(adapter, group).some(selector => {
+            const el = doc.querySelector(selector);
+            return el && (el.textContent || '').trim();
+        }));
+        return {
+            checkedAt: Date.now(),
+            url: doc.location ? doc.location.pathname : null,
+            ok: missing.length === 0,
+            missing
+        };
+    },
+
+    async recordHealth(id, result) {
+        const data = await chrome.storage.local.get({ [SITE_ADAPTERS.HEALTH_KEY]: {} });
+        const health = data[SITE_ADAPTERS.HEALTH_KEY];
+        health[id] = result;
+        await chrome.storage.local.set({ [SITE_ADAPTERS.HEALTH_KEY]: health });
+        return result;
+    },
+
+    async getHealth() {
+        const data = await chrome.storage.local.get({ [SITE_ADAPTERS.HEALTH_KEY]: {} });
+        return data[SITE_ADAPTERS.HEALTH_KEY];
+    }
+};
+
+for (let adapter of [...BUILT_IN_SITES, ...OPTIONAL_SITES]) SiteRegistry.register(adapter);
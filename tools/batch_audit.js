@@ -0,0 +1,268 @@
+#!/usr/bin/env node
+// =========================================================
+// BATCH AUDIT CLI
+// =========================================================
+// Runs the extension's own audit pipeline (extension/pipeline.js and the
+// modules it needs, unchanged) against saved product pages, without a
+// browser, and reports per page: extraction method, DOM fallback price,
+// selector health, features, fair price and range, error and verdict.
+// Use it to regression-test selector changes and new model weights
+// against a corpus of captured pages before shipping.
+//
+// A page's URL (needed for site detection and product IDs) comes from
+// --url, else the "saved from url=" comment Chrome's "Save page as" writes,
+// else <link rel="canonical"> or og:url.
+//
+// Usage (jsdom is the only dependency, pinned in tools/package.json:
+// run npm install in tools/ once):
+//   node tools/batch_audit.js [options] <page.html | directory> ...
+//   npm run batch-audit -- [options] <paths relative to tools/> ...
+//
+// Options:
+//   --weights [category=]file  score with these weights instead of the bundled
+//                              model (category defaults to laptop), repeatable
+//   --format json|csv          report format (default json)
+//   --url URL                  page URL, when auditing a single file
+//   --verbose                  pipeline console output on stderr
+//
+// Exits with 1 when any page could not be audited.
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const crypto = require('crypto');
+const { Console } = require('console');
+const { JSDOM } = require('jsdom');
+
+const EXTENSION_DIR = path.join(__dirname, '..', 'extension');
+const EXTENSION_ORIGIN = 'chrome-extension://fairmarket/';
+
+// Content script order from manifest.json, without UI, logging and history
+const PIPELINE_FILES = ['settings.js', 'model_manifest.js', 'model_sync.js', 'categories.js', 'currency.js', 'sites.js', 'pipeline.js'];
+
+const CSV_COLUMNS = [
+    'file', 'url', 'site', 'product_id', 'method', 'seo_method', 'dom_price', 'selectors_missing',
+    'category', 'model_version', 'model_hash', 'name', 'price', 'currency',
+    'fair', 'low', 'high', 'confidence', 'error', 'verdict', 'features', 'failure'
+];
+
+// =========================================================
+// 1. EXTENSION SHIMS
+// =========================================================
+// chrome.storage in memory: every run starts from a fresh profile
+function memoryArea() {
+    const store = {};
+    const clone = (value) => value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+    return {
+        async get(keys) {
+            if (keys === null || keys === undefined) return clone(store);
+            if (typeof keys === 'string') keys = [keys];
+            if (Array.isArray(keys)) return Object.fromEntries(keys.filter(k => k in store).map(k => [k, clone(store[k])]));
+            return Object.fromEntries(Object.entries(keys).map(([k, fallback]) => [k, k in store ? clone(store[k]) : fallback]));
+        },
+        async set(items) {
+            Object.assign(store, clone(items));
+        },
+        async remove(keys) {
+            [].concat(keys).forEach(k => delete store[k]);
+        }
+    };
+}
+
+function chromeShim() {
+    return {
+        storage: { local: memoryArea(), sync: memoryArea(), onChanged: { addListener() {} } },
+        runtime: { getURL: (file) => EXTENSION_ORIGIN + file }
+    };
+}
+
+// Extension files are read from disk; everything else is offline, so
+// model sync falls back to the bundled (or pinned) weights
+async function fetchShim(url) {
+    url = String(url);
+    if (!url.startsWith(EXTENSION_ORIGIN)) throw new Error(`Offline: ${url}`);
+    const text = fs.readFileSync(path.join(EXTENSION_DIR, url.slice(EXTENSION_ORIGIN.length)), 'utf8');
+    return { ok: true, status: 200, headers: { get: () => null }, text: async () => text, json: async () => JSON.parse(text) };
+}
+
+const silentConsole = { log() {}, info() {}, warn() {}, error() {}, debug() {} };
+
+// One context for all pages so each category model loads once
+function createPipeline(verbose) {
+    const context = vm.createContext({
+        console: verbose ? new Console(process.stderr) : silentConsole,
+        chrome: chromeShim(),
+        fetch: fetchShim,
+        crypto: crypto.webcrypto,
+        TextEncoder, URL, URLSearchParams, AbortController, setTimeout, clearTimeout
+    });
+    for (let file of PIPELINE_FILES) {
+        vm.runInContext(fs.readFileSync(path.join(EXTENSION_DIR, file), 'utf8'), context, { filename: file });
+    }
+
+    const pipeline = vm.runInContext(`({
+        CONFIG, MODEL_SYNC, SiteRegistry, Currency,
+        detectSite, getProductId, extractFromSEOMetadata, extractFromDOM, extractFeatures, scoreProduct, pinModel
+    })`, context);
+
+    // Saved pages never change: don't wait for late-rendered nodes
+    pipeline.CONFIG.PRICE_WAIT_MS = 0;
+    pipeline.CONFIG.TITLE_WAIT_MS = 0;
+
+    // Swaps the page the pipeline's window / document globals point at
+    pipeline.open = (html, url) => {
+        const { window } = new JSDOM(html, { url });
+        // jsdom has no layout, innerText is just the text content
+        Object.defineProperty(window.HTMLElement.prototype, 'innerText', {
+            get() { return this.textContent; },
+            configurable: true
+        });
+        Object.assign(context, { window, document: window.document, MutationObserver: window.MutationObserver });
+    };
+    return pipeline;
+}
+
+// =========================================================
+// 2. ONE PAGE
+// =========================================================
+// Chrome's "Save page as" keeps the address in a comment; otherwise trust
+// the page's canonical URL
+function pageUrl(html) {
+    const saved = html.match(/<!--\s*saved from url=\(\d+\)(\S+?)\s*-->/i);
+    if (saved) return saved[1];
+
+    const { document } = new JSDOM(html).window;
+    const canonical = document.querySelector('link[rel="canonical"]');
+    if (canonical && canonical.getAttribute('href')) return canonical.getAttribute('href');
+    const og = document.querySelector('meta[property="og:url"]');
+    return og ? og.getAttribute('content') : null;
+}
+
+async function auditPage(pipeline, file, urlOverride) {
+    const html = fs.readFileSync(file, 'utf8');
+    const url = urlOverride || pageUrl(html);
+    if (!url) throw new Error('No page URL (pass --url or keep the "saved from url" comment)');
+
+    pipeline.open(html, url);
+    const site = pipeline.detectSite();
+    if (!site) throw new Error(`No site adapter for ${new URL(url).hostname}`);
+    const adapter = pipeline.SiteRegistry.get(site);
+    if (!adapter.productPagePattern.test(new URL(url).pathname)) throw new Error(`Not a ${adapter.label} product page`);
+
+    // Both extractors on their own, then the pipeline as the extension runs it
+    const seo = pipeline.extractFromSEOMetadata(site);
+    const dom = await pipeline.extractFromDOM(site);
+    const product = await pipeline.extractFeatures();
+    if (!product) throw new Error('Nothing could be extracted');
+
+    const score = pipeline.scoreProduct(product);
+    const { listing, model } = product;
+    const toPage = (amount) => pipeline.Currency.fromBase(amount, listing.currency);
+    const round = (value) => Math.round(value * 100) / 100;
+
+    return {
+        file,
+        url,
+        site,
+        product_id: pipeline.getProductId(site),
+        method: product.sources.price,
+        seo_method: seo ? seo.method : null,
+        dom_price: dom ? dom.listing.amount : null,
+        selectors_missing: product.health.missing,
+        category: product.category.id,
+        model_version: model.version,
+        model_hash: model.hash ? model.hash.substring(0, 8) : null,
+        name: product.name,
+        price: listing.amount,
+        currency: listing.currency,
+        fair: round(toPage(score.dist.median)),
+        low: round(toPage(score.dist.low)),
+        high: round(toPage(score.dist.high)),
+        confidence: score.dist.confidence,
+        error: Number(score.error.toFixed(4)),
+        verdict: score.type,
+        features: product.raw
+    };
+}
+
+// =========================================================
+// 3. COMMAND LINE
+// =========================================================
+function parseArgs(argv) {
+    const options = { weights: [], format: 'json', url: null, verbose: false, inputs: [] };
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (arg === '--weights') options.weights.push(argv[++i]);
+        else if (arg === '--format') options.format = argv[++i];
+        else if (arg === '--url') options.url = argv[++i];
+        else if (arg === '--verbose') options.verbose = true;
+        else if (arg.startsWith('--')) throw new Error(`Unknown option ${arg}`);
+        else options.inputs.push(arg);
+    }
+    if (!['json', 'csv'].includes(options.format)) throw new Error(`Unknown format ${options.format}`);
+    if (options.weights.some(w => !w)) throw new Error('--weights needs a file');
+    return options;
+}
+
+// Directories expand to the .html / .htm files in them
+function pageFiles(inputs) {
+    return inputs.flatMap(input => fs.statSync(input).isDirectory()
+        ? fs.readdirSync(input).filter(f => /\.html?$/i.test(f)).sort().map(f => path.join(input, f))
+        : [input]);
+}
+
+// "tv=weights.json" or just "weights.json" for the default category
+function pinWeights(pipeline, spec) {
+    const match = spec.match(/^([a-z_]+)=(.+)$/);
+    const category = match ? match[1] : pipeline.MODEL_SYNC.DEFAULT_CATEGORY;
+    const file = match ? match[2] : spec;
+    const text = fs.readFileSync(file, 'utf8');
+    const weights = JSON.parse(text);
+
+    pipeline.pinModel(category, {
+        weights,
+        version: weights.version || 1,
+        hash: crypto.createHash('sha256').update(text).digest('hex'),
+        source: 'file'
+    });
+}
+
+function csvField(value) {
+    if (value === null || value === undefined) return '';
+    const text = Array.isArray(value) ? value.join(';') : typeof value === 'object' ? JSON.stringify(value) : String(value);
+    return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function toCsv(rows) {
+    return [CSV_COLUMNS.join(','), ...rows.map(row => CSV_COLUMNS.map(c => csvField(row[c])).join(','))].join('\n') + '\n';
+}
+
+async function main() {
+    const options = parseArgs(process.argv.slice(2));
+    const files = pageFiles(options.inputs);
+    if (!files.length) throw new Error('Usage: node tools/batch_audit.js [--weights [category=]file] [--format json|csv] [--url URL] [--verbose] <page.html | directory> ...');
+    if (options.url && files.length > 1) throw new Error('--url only works with a single page');
+
+    const pipeline = createPipeline(options.verbose);
+    options.weights.forEach(spec => pinWeights(pipeline, spec));
+
+    const rows = [];
+    for (let file of files) {
+        try {
+            rows.push(await auditPage(pipeline, file, options.url));
+        } catch (e) {
+            rows.push({ file, failure: e.message });
+        }
+    }
+
+    process.stdout.write(options.format === 'csv' ? toCsv(rows) : JSON.stringify(rows, null, 2) + '\n');
+    const failed = rows.filter(row => row.failure).length;
+    if (failed) {
+        console.error(`❌ ${failed}/${rows.length} pages could not be audited`);
+        process.exitCode = 1;
+    }
+}
+
+main().catch(e => {
+    console.error(`❌ ${e.message}`);
+    process.exitCode = 1;
+});